@@ -0,0 +1,47 @@
+// Page labels for index.html, preview.html and library.html, served by /api/locale.
+// Elements marked with data-i18n keep their English text if the request fails.
+const pageLocale = {
+    locale: 'en',
+    locales: { en: 'English' },
+    messages: {}
+};
+
+function lookupPageMessage(key) {
+    return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), pageLocale.messages);
+}
+
+function pageText(key, fallback, params) {
+    const message = lookupPageMessage(key);
+    const text = typeof message === 'string' ? message : fallback;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params && name in params ? params[name] : match));
+}
+
+async function loadPageLocale(locale) {
+    try {
+        const query = locale ? '?locale=' + encodeURIComponent(locale) : '';
+        const response = await fetch('/api/locale' + query);
+        const result = await response.json();
+        Object.assign(pageLocale, result);
+    } catch (error) {
+        console.warn('Could not load page labels:', error);
+        return pageLocale;
+    }
+
+    document.documentElement.lang = pageLocale.locale;
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        const message = lookupPageMessage(el.dataset.i18n);
+        if (typeof message === 'string') el.textContent = message;
+    });
+    document.querySelectorAll('[data-i18n-list]').forEach(list => {
+        const items = lookupPageMessage(list.dataset.i18nList);
+        if (!Array.isArray(items)) return;
+        list.innerHTML = '';
+        items.forEach(item => {
+            const li = document.createElement('li');
+            li.textContent = item;
+            list.appendChild(li);
+        });
+    });
+
+    return pageLocale;
+}
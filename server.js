@@ -1,24 +1,46 @@
 const express = require('express');
 const multer = require('multer');
 const xml2js = require('xml2js');
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Accepted file types per upload field; the character export always comes in as "file"
+const UPLOAD_TYPES = {
+  file: { label: 'XML', extensions: ['.xml'] },
+  css: { label: 'CSS', extensions: ['.css'] },
+  template: { label: 'HTML', extensions: ['.html', '.htm'] },
+  before: { label: 'XML', extensions: ['.xml'] },
+  after: { label: 'XML', extensions: ['.xml'] }
+};
+
 // Configure multer for file uploads (memory storage)
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 16 * 1024 * 1024 }, // 16MB max
   fileFilter: (req, file, cb) => {
-    if (file.originalname.toLowerCase().endsWith('.xml')) {
+    const uploadType = UPLOAD_TYPES[file.fieldname] || UPLOAD_TYPES.file;
+    if (uploadType.extensions.includes(path.extname(file.originalname).toLowerCase())) {
       cb(null, true);
     } else {
-      cb(new Error('Only XML files are allowed'));
+      cb(requestError(400, 'INVALID_FILE_TYPE', `Only ${uploadType.label} files are allowed`));
     }
   }
 });
 
+// Keep the original child order next to the named properties (under "$$"),
+// formatted text like <p>a <b>b</b> c</p> can't be rebuilt without it
+const XML_PARSER_OPTIONS = {
+  explicitArray: true,
+  explicitChildren: true,
+  preserveChildrenOrder: true,
+  charsAsChildren: true
+};
+
 // Middleware
 app.use(express.json());
 app.use(express.static('public'));
@@ -46,6 +68,10 @@ function safeGet(obj, path, defaultValue = '') {
     if ('$t' in result) {
       return result.$t;
     }
+    // Empty elements like <attackstat type="string" /> only carry attributes
+    if (Object.keys(result).length === 1 && '$' in result) {
+      return defaultValue;
+    }
   }
   return result || defaultValue;
 }
@@ -60,6 +86,18 @@ function escapeHtml(text) {
     .replace(/'/g, '&#039;');
 }
 
+// JSON that is safe to drop inside an inline <script> block
+function toScriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+function hashSource(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
+}
+
 function formatModifier(value) {
   try {
     const val = parseInt(value);
@@ -78,13 +116,290 @@ function getProficiencyBonus(level) {
   }
 }
 
-function generateCharacterHTML(characterData) {
-  const char = safeGet(characterData, 'character', {});
+function toNumber(value, defaultValue = 0) {
+  const num = parseFloat(value);
+  return Number.isNaN(num) ? defaultValue : num;
+}
+
+// FGU stores dice as a comma-separated list ("d6,d6,d8"), collapse it to "2d6+1d8"
+function formatDice(dice) {
+  const counts = {};
+  String(dice || '').split(',').forEach(die => {
+    const match = die.trim().match(/^(\d*)d(\d+)$/i);
+    if (match) {
+      counts[match[2]] = (counts[match[2]] || 0) + (parseInt(match[1]) || 1);
+    }
+  });
+  return Object.keys(counts)
+    .sort((a, b) => parseInt(b) - parseInt(a))
+    .map(sides => `${counts[sides]}d${sides}`)
+    .join('+');
+}
+
+// Dice expression for the sheet's roller, e.g. "1d8+3+2d6"
+function toDiceExpression(entries) {
+  return entries.map(entry => formatDamage({ dice: entry.dice, bonus: entry.bonus })).filter(Boolean).join('+');
+}
+
+// Clickable value for the sheet's dice roller: a d20 roll with { bonus } or a dice expression with { dice }
+function rollable(text, label, roll, title = `Roll ${label}`) {
+  const rollAttr = roll.dice !== undefined
+    ? `data-roll-dice="${escapeHtml(roll.dice)}"`
+    : `data-roll-bonus="${roll.bonus}"`;
+  return `<span class="rollable" ${rollAttr} data-roll-label="${escapeHtml(label)}" title="${escapeHtml(title)}">${text}</span>`;
+}
+
+function formatDamage(damage) {
+  let text = damage.dice || '';
+  if (damage.bonus) {
+    text = text ? `${text}${formatModifier(damage.bonus)}` : String(damage.bonus);
+  }
+  return damage.type ? `${text} ${damage.type}` : text;
+}
+
+// FGU formatted text tags and the HTML they are rendered as
+const FORMATTED_TEXT_TAGS = {
+  p: 'p',
+  h: 'h4',
+  b: 'strong',
+  i: 'em',
+  u: 'u',
+  list: 'ul',
+  li: 'li',
+  table: 'table',
+  tr: 'tr',
+  td: 'td',
+  linklist: 'ul',
+  link: 'li',
+  frame: 'blockquote'
+};
+
+// Tags that start a new paragraph in the plain text version
+const FORMATTED_TEXT_BLOCKS = ['p', 'h', 'li', 'tr', 'link', 'frame'];
+
+function formattedTextToHtml(node) {
+  if (!node || typeof node !== 'object') return escapeHtml(node);
+  return (node.$$ || []).map(child => {
+    const childName = child['#name'];
+    if (childName === '__text__') return escapeHtml(child._);
+    
+    const inner = formattedTextToHtml(child);
+    const tag = FORMATTED_TEXT_TAGS[childName];
+    if (!tag) return inner;
+    
+    let attrs = '';
+    if (childName === 'linklist') attrs = ' class="fgu-linklist"';
+    if (childName === 'td' && child.$ && parseInt(child.$.colspan) > 1) {
+      attrs = ` colspan="${parseInt(child.$.colspan)}"`;
+    }
+    return `<${tag}${attrs}>${inner}</${tag}>`;
+  }).join('');
+}
+
+function formattedTextToText(node) {
+  if (!node || typeof node !== 'object') return String(node || '').trim();
+  const paragraphs = [];
+  let current = '';
+  const flush = () => {
+    if (current.trim()) paragraphs.push(current.trim());
+    current = '';
+  };
+  const walk = parent => (parent.$$ || []).forEach(child => {
+    const childName = child['#name'];
+    if (childName === '__text__') {
+      current += child._;
+      return;
+    }
+    const isBlock = FORMATTED_TEXT_BLOCKS.includes(childName);
+    if (isBlock) flush();
+    if (childName === 'td' && current.trim()) current += ' | ';
+    if (childName === 'li' || childName === 'link') current += '• ';
+    walk(child);
+    if (isBlock) flush();
+  });
+  walk(node);
+  flush();
+  return paragraphs.join('\n\n');
+}
+
+// Bump whenever a field of the character model is renamed, removed or changes meaning.
+// Purely additive changes keep the same version.
+const CHARACTER_MODEL_VERSION = 5;
+
+// Version of the JSON patch the sheet's "Export to FGU" button produces (see applySheetPatch)
+const SHEET_PATCH_VERSION = 1;
+
+const ABILITY_NAMES = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
+
+// Fallback when FGU's power group doesn't name its spellcasting ability.
+// Matched against class names, subclasses (Eldritch Knight...) and power group names.
+const SPELLCASTING_CLASSES = [
+  { ability: 'intelligence', names: ['wizard', 'artificer', 'eldritch knight', 'arcane trickster'] },
+  { ability: 'wisdom', names: ['cleric', 'druid', 'ranger'] },
+  { ability: 'charisma', names: ['bard', 'paladin', 'sorcerer', 'warlock'] }
+];
+
+// FGU "usesperiod" values: blank = long rest, "enc" = short rest, "once" = never resets
+const RESOURCE_PERIODS = { '': 'long', enc: 'short', daily: 'daily', once: 'once' };
+
+// FGU's skill <prof> values; Jack of All Trades and similar features are "half"
+const SKILL_PROFICIENCY_LEVELS = { '1': 'proficient', '2': 'expertise', '3': 'half' };
+const SKILL_PROFICIENCY_MARKERS = { none: '○', half: '◐', proficient: '●', expertise: '◉' };
+
+// Passive scores shown to the GM, with the ability used when the skill list lacks the skill
+const PASSIVE_SKILLS = {
+  perception: { skill: 'Perception', ability: 'wisdom' },
+  insight: { skill: 'Insight', ability: 'wisdom' },
+  investigation: { skill: 'Investigation', ability: 'intelligence' }
+};
+
+// Defense lists use the same fields and "fire, poison; bludgeoning, piercing, and slashing
+// from nonmagical attacks" text as FGU's NPC sheets, on the character or under <defenses>
+const DEFENSE_FIELDS = {
+  resistances: 'damageresistances',
+  immunities: 'damageimmunities',
+  vulnerabilities: 'damagevulnerabilities',
+  conditionImmunities: 'conditionimmunities'
+};
+
+function splitDefenseList(text) {
+  const entries = [];
+  String(text || '').split(';').forEach(part => {
+    const trimmed = part.trim();
+    if (!trimmed) return;
+    // "bludgeoning, piercing, and slashing from nonmagical attacks" is one entry
+    if (/\bfrom\b|\bthat\b|\bexcept\b/i.test(trimmed)) {
+      entries.push(trimmed);
+    } else {
+      trimmed.split(',').map(entry => entry.replace(/^\s*and\s+/i, '').trim()).filter(Boolean).forEach(entry => entries.push(entry));
+    }
+  });
+  return entries;
+}
+
+// Three attunement slots, four to six for Artificers from 10th level (Magic Item Adept and after)
+function getAttunementSlots(classes) {
+  const artificer = classes.find(cls => /artificer/i.test(cls.name));
+  const artificerLevel = artificer ? artificer.level : 0;
+  if (artificerLevel >= 18) return 6;
+  if (artificerLevel >= 14) return 5;
+  if (artificerLevel >= 10) return 4;
+  return 3;
+}
+
+// FGU item "carried" values: 0 = not carried, 1 = carried, 2 = equipped
+const ITEM_CARRIED = { notCarried: 0, carried: 1, equipped: 2 };
+
+// Coin values in gold pieces, for item costs ("25 gp", "5 sp") and net worth
+const COIN_VALUES_GP = { PP: 10, GP: 1, EP: 0.5, SP: 0.1, CP: 0.01 };
+
+function parseCostGp(text) {
+  const match = String(text || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(pp|gp|ep|sp|cp)\b/i);
+  return match ? parseFloat(match[1]) * COIN_VALUES_GP[match[2].toUpperCase()] : null;
+}
+
+// Sums of silver and copper costs or half-pound weights would otherwise print as 12.300000000000001
+function roundToHundredths(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Net worth in GP: item costs (times their count) plus coins; items without a readable cost count as 0
+function getNetWorth(inventory, coins) {
+  const itemsWorth = inventory.reduce((total, item) => total + (item.costGp || 0) * item.count, 0);
+  const coinsWorth = Object.keys(coins).reduce((total, coinName) => total + coins[coinName] * (COIN_VALUES_GP[coinName.toUpperCase()] || 0), 0);
+  return { items: roundToHundredths(itemsWorth), coins: roundToHundredths(coinsWorth), total: roundToHundredths(itemsWorth + coinsWorth) };
+}
+
+function getSpellcastingAbility(text, spellcastingClasses = SPELLCASTING_CLASSES) {
+  const lowerText = String(text || '').toLowerCase();
+  const match = spellcastingClasses.find(entry => entry.names.some(name => lowerText.includes(name)));
+  return match ? match.ability : null;
+}
+
+// Per-ruleset rules parseCharacter relies on: ability list, proficiency progression,
+// spellcasting class table, carrying limits and where the character's origin lives.
+// weaponFields and featFields add the fields only that edition has to each weapon and feat.
+const RULESET_5E = {
+  id: '5e',
+  label: '5E (2014)',
+  abilityNames: ABILITY_NAMES,
+  spellcastingClasses: SPELLCASTING_CLASSES,
+  getProficiencyBonus,
+  // Carrying capacity is STR x 15 lb; the variant encumbrance rule slows a character
+  // past STR x 5 and STR x 10
+  getCarryingLimits: strength => ({ encumbered: strength * 5, heavilyEncumbered: strength * 10, capacity: strength * 15 }),
+  getAttunementSlots,
+  // A long rest gives back half of the character's hit dice (at least one)
+  hitDiceRecovery: 'half',
+  originLabel: 'race',
+  readOrigin: char => ({ race: safeGet(char, 'race.0'), subrace: safeGet(char, 'subrace.0') }),
+  weaponFields: () => ({}),
+  featFields: () => ({})
+};
+
+// 2024 rules: species replace races, weapons have a mastery property,
+// backgrounds grant an origin feat (feat category "Origin") and a long rest
+// restores every spent hit die
+const RULESET_5E_2024 = {
+  ...RULESET_5E,
+  id: '5e-2024',
+  label: '5E (2024)',
+  originLabel: 'species',
+  hitDiceRecovery: 'all',
+  readOrigin: char => ({
+    race: safeGet(char, 'species.0') || safeGet(char, 'race.0'),
+    subrace: safeGet(char, 'subspecies.0') || safeGet(char, 'subrace.0')
+  }),
+  weaponFields: weapon => ({ mastery: safeGet(weapon, 'mastery.0') || null }),
+  featFields: feat => ({ origin: /origin/i.test(safeGet(feat, 'category.0')) })
+};
+
+const RULESET_ADAPTERS = {
+  [RULESET_5E.id]: RULESET_5E,
+  [RULESET_5E_2024.id]: RULESET_5E_2024
+};
+
+// FGU names the ruleset in the root's "ruleset" attribute, or after CoreRPG in "release"
+// ("8.1|CoreRPG:6|5E:12"); 5E exports often carry neither. The rules edition comes from
+// the root or the character's <version>, and a <species> node means 2024 rules.
+function detectRuleset(xmlRoot) {
+  const attrs = safeGet(xmlRoot, '$', {});
+  const char = safeGet(xmlRoot, 'character', {});
+  const layers = String(attrs.release || '').split('|').slice(1)
+    .map(layer => layer.split(':')[0].trim())
+    .filter(layer => layer && layer !== 'CoreRPG');
+  const name = String(attrs.ruleset || layers[layers.length - 1] || '5E').trim();
+  const version = String(attrs.rulesetversion || safeGet(char, 'version.0') || (char.species ? '2024' : '2014'));
+  return { name, version, dataVersion: attrs.version || '' };
+}
+
+function getRulesetAdapter(xmlRoot) {
+  const ruleset = detectRuleset(xmlRoot);
+  let adapter = null;
+  if (ruleset.name.toUpperCase() === '5E') {
+    adapter = RULESET_ADAPTERS[ruleset.version.includes('2024') ? '5e-2024' : '5e'];
+  }
+  if (!adapter) {
+    const supported = Object.values(RULESET_ADAPTERS).map(entry => entry.label).join(', ');
+    throw requestError(422, 'UNSUPPORTED_RULESET', `Unsupported ruleset: ${ruleset.name} characters can't be read yet. Supported rulesets: ${supported}`);
+  }
+  return adapter;
+}
+
+/**
+ * Parse an FGU character export (the xml2js tree under <root>) into the
+ * normalized character model returned by POST /api/character.
+ *
+ * Numbers are returned as numbers, flags as booleans and FGU's id-XXXXX
+ * lists as arrays. See "Character Model" in README.md for every field.
+ */
+function parseCharacter(xmlRoot) {
+  const char = safeGet(xmlRoot, 'character', {});
+  const rules = getRulesetAdapter(xmlRoot);
   
   // Extract basic info
   const name = safeGet(char, 'name.0');
-  const race = safeGet(char, 'race.0');
-  const subrace = safeGet(char, 'subrace.0');
+  const { race, subrace } = rules.readOrigin(char);
   const alignment = safeGet(char, 'alignment.0');
   const background = safeGet(char, 'background.0');
   
@@ -98,79 +413,105 @@ function generateCharacterHTML(characterData) {
     if (key.startsWith('id-')) {
       const cls = classesData[key][0];
       const className = safeGet(cls, 'name.0');
-      const classLevel = safeGet(cls, 'level.0');
+      const levelNum = toNumber(safeGet(cls, 'level.0'));
       const classSpec = safeGet(cls, 'specialization.0');
-      const levelNum = parseInt(classLevel) || 0;
+      // FGU keeps the hit die as a dice field ("d8") and counts the ones spent
+      const hitDieMatch = String(safeGet(cls, 'hddie.0')).match(/d(\d+)/i);
       totalLevel += levelNum;
       if (className) {
-        classesInfo.push({ name: className, level: classLevel, specialization: classSpec });
+        classesInfo.push({
+          name: className,
+          level: levelNum,
+          specialization: classSpec,
+          hitDie: hitDieMatch ? `d${hitDieMatch[1]}` : null,
+          hitDiceUsed: Math.min(toNumber(safeGet(cls, 'hdused.0')), levelNum)
+        });
       }
     }
   });
   
-  const profBonus = getProficiencyBonus(totalLevel);
+  const profBonus = rules.getProficiencyBonus(totalLevel);
   
   // Extract abilities
   const abilities = {};
-  const abilityNames = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
   
-  abilityNames.forEach(abilName => {
+  rules.abilityNames.forEach(abilName => {
     const abil = safeGet(char, `abilities.0.${abilName}.0`);
     if (abil) {
       abilities[abilName] = {
-        score: safeGet(abil, 'score.0'),
-        bonus: safeGet(abil, 'bonus.0'),
-        save: safeGet(abil, 'save.0'),
-        saveprof: safeGet(abil, 'saveprof.0') === '1'
+        score: toNumber(safeGet(abil, 'score.0'), 10),
+        bonus: toNumber(safeGet(abil, 'bonus.0')),
+        save: toNumber(safeGet(abil, 'save.0')),
+        saveProficient: safeGet(abil, 'saveprof.0') === '1'
       };
     }
   });
   
-  // Determine spellcasting ability based on class
-  let spellcastingAbility = null;
-  let spellcastingMod = 0;
-  
-  classesInfo.forEach(cls => {
-    const className = cls.name.toLowerCase();
-    if (className.includes('wizard')) {
-      spellcastingAbility = 'intelligence';
-    } else if (className.includes('druid') || className.includes('cleric') || className.includes('ranger')) {
-      spellcastingAbility = 'wisdom';
-    } else if (className.includes('paladin') || className.includes('sorcerer') || className.includes('bard') || className.includes('warlock')) {
-      spellcastingAbility = 'charisma';
-    }
-  });
-  
-  if (spellcastingAbility && abilities[spellcastingAbility]) {
-    spellcastingMod = parseInt(abilities[spellcastingAbility].bonus) || 0;
-  }
+  const abilityMod = abilName => (abilities[abilName] ? abilities[abilName].bonus : 0);
   
-  // Calculate spell save DC and spell attack bonus
-  const spellSaveDC = 8 + profBonus + spellcastingMod;
-  const spellAttackBonus = profBonus + spellcastingMod;
+  // Spellcasting sources, one per spell power group ("Spells (Wizard)", "Spells (Cleric)"...)
+  const spellcasting = [];
+  const casterClasses = classesInfo.filter(cls => getSpellcastingAbility(`${cls.name} ${cls.specialization}`, rules.spellcastingClasses));
+  const addSpellcastingSource = (groupName, groupData) => {
+    const lowerName = groupName.toLowerCase();
+    let cls = classesInfo.find(c => lowerName.includes(c.name.toLowerCase()) ||
+      (c.specialization && lowerName.includes(c.specialization.toLowerCase())));
+    if (!cls && casterClasses.length === 1) {
+      cls = casterClasses[0];
+    }
+    
+    // FGU's own group settings win, the class table is only a fallback
+    const ability = safeGet(groupData, 'stat.0') ||
+      getSpellcastingAbility(cls ? `${cls.name} ${cls.specialization}` : groupName, rules.spellcastingClasses);
+    const saveAbility = safeGet(groupData, 'savestat.0') || ability;
+    const attackAbility = safeGet(groupData, 'atkstat.0') || ability;
+    const saveProf = safeGet(groupData, 'saveprof.0') !== '0';
+    const attackProf = safeGet(groupData, 'atkprof.0') !== '0';
+    
+    const source = {
+      name: groupName,
+      className: cls ? cls.name : '',
+      ability: ability,
+      saveDC: ability ? 8 + abilityMod(saveAbility) + (saveProf ? profBonus : 0) + toNumber(safeGet(groupData, 'savemod.0')) : null,
+      attackBonus: ability ? abilityMod(attackAbility) + (attackProf ? profBonus : 0) + toNumber(safeGet(groupData, 'atkmod.0')) : null
+    };
+    spellcasting.push(source);
+    return source;
+  };
   
-  // Calculate melee attack bonus (Strength + Proficiency, unless using finesse)
-  const strMod = parseInt(abilities.strength?.bonus || 0);
-  const dexMod = parseInt(abilities.dexterity?.bonus || 0);
-  const meleeAttackBonus = strMod + profBonus;
+  const powerGroupData = safeGet(char, 'powergroup.0', {});
+  Object.keys(powerGroupData).forEach(key => {
+    if (key.startsWith('id-')) {
+      const powerGroup = powerGroupData[key][0];
+      const groupName = safeGet(powerGroup, 'name.0');
+      if (groupName && (safeGet(powerGroup, 'castertype.0') || groupName.includes('Spells'))) {
+        addSpellcastingSource(groupName, powerGroup);
+      }
+    }
+  });
   
   // Extract HP
   const hp = safeGet(char, 'hp.0', {});
-  const hpTotal = safeGet(hp, 'total.0', '0');
-  const hpWounds = safeGet(hp, 'wounds.0', '0');
-  const hpTemp = safeGet(hp, 'temporary.0', '0');
+  const hpTotal = toNumber(safeGet(hp, 'total.0'));
+  const hpWounds = toNumber(safeGet(hp, 'wounds.0'));
+  const hpTemp = toNumber(safeGet(hp, 'temporary.0'));
+  const deathSaves = {
+    successes: Math.min(toNumber(safeGet(hp, 'deathsavesuccess.0')), 3),
+    failures: Math.min(toNumber(safeGet(hp, 'deathsavefail.0')), 3)
+  };
   
   // Extract AC
-  const ac = safeGet(char, 'defenses.0.ac.0.total.0', '10');
+  const ac = toNumber(safeGet(char, 'defenses.0.ac.0.total.0'), 10);
   
   // Extract Speed
-  const speed = safeGet(char, 'speed.0.total.0', '30');
+  const speed = toNumber(safeGet(char, 'speed.0.total.0'), 30);
   
   // Extract Initiative
   let initiative = safeGet(char, 'initiative.0.total.0');
-  if (!initiative && abilities.dexterity) {
+  if (initiative === '' && abilities.dexterity) {
     initiative = abilities.dexterity.bonus;
   }
+  initiative = toNumber(initiative);
   
   // Extract Skills
   const skills = [];
@@ -178,16 +519,54 @@ function generateCharacterHTML(characterData) {
   Object.keys(skillListData).forEach(key => {
     if (key.startsWith('id-')) {
       const skill = skillListData[key][0];
+      const proficiency = SKILL_PROFICIENCY_LEVELS[safeGet(skill, 'prof.0')] || 'none';
       skills.push({
         name: safeGet(skill, 'name.0'),
-        total: safeGet(skill, 'total.0'),
-        prof: safeGet(skill, 'prof.0') === '1',
+        total: toNumber(safeGet(skill, 'total.0')),
+        proficient: proficiency === 'proficient' || proficiency === 'expertise',
+        proficiency,
         stat: safeGet(skill, 'stat.0')
       });
     }
   });
   skills.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
   
+  // Passive scores are 10 + the skill total (or the ability modifier without the skill)
+  const passives = {};
+  Object.keys(PASSIVE_SKILLS).forEach(key => {
+    const skill = skills.find(entry => entry.name === PASSIVE_SKILLS[key].skill);
+    passives[key] = 10 + (skill ? skill.total : abilityMod(PASSIVE_SKILLS[key].ability));
+  });
+  
+  // Extract Languages
+  const languages = [];
+  const languageListData = safeGet(char, 'languagelist.0', {});
+  Object.keys(languageListData).forEach(key => {
+    if (key.startsWith('id-')) {
+      const language = safeGet(languageListData[key][0], 'name.0');
+      if (language) languages.push(language);
+    }
+  });
+  
+  // Extract armor, weapon and tool proficiencies ("Armor: Light armor, shields")
+  const proficiencies = [];
+  const proficiencyListData = safeGet(char, 'proficiencylist.0', {});
+  Object.keys(proficiencyListData).forEach(key => {
+    if (key.startsWith('id-')) {
+      const proficiency = safeGet(proficiencyListData[key][0], 'name.0');
+      if (proficiency) proficiencies.push(proficiency);
+    }
+  });
+  
+  const senses = String(safeGet(char, 'senses.0', '')).trim();
+  
+  // Extract resistances, immunities and vulnerabilities
+  const defenses = {};
+  Object.keys(DEFENSE_FIELDS).forEach(key => {
+    const field = DEFENSE_FIELDS[key];
+    defenses[key] = splitDefenseList(safeGet(char, `defenses.0.${field}.0`) || safeGet(char, `${field}.0`));
+  });
+  
   // Extract Features
   const features = [];
   const featureListData = safeGet(char, 'featurelist.0', {});
@@ -195,21 +574,13 @@ function generateCharacterHTML(characterData) {
     if (key.startsWith('id-')) {
       const feature = featureListData[key][0];
       
-      // Extract description from formatted text
-      let description = '';
       const textObj = feature.text ? feature.text[0] : null;
-      if (textObj && textObj.p) {
-        description = textObj.p.map(p => {
-          if (typeof p === 'string') return p.trim();
-          if (p && p._) return p._.trim();
-          return '';
-        }).filter(Boolean).join('\n\n');
-      }
       
       features.push({
         name: safeGet(feature, 'name.0'),
-        level: safeGet(feature, 'level.0'),
-        description: description
+        level: toNumber(safeGet(feature, 'level.0')),
+        description: formattedTextToText(textObj),
+        descriptionHtml: formattedTextToHtml(textObj)
       });
     }
   });
@@ -221,22 +592,15 @@ function generateCharacterHTML(characterData) {
     if (key.startsWith('id-')) {
       const feat = featListData[key][0];
       
-      // Extract description from formatted text
-      let description = '';
       const textObj = feat.text ? feat.text[0] : null;
-      if (textObj && textObj.p) {
-        description = textObj.p.map(p => {
-          if (typeof p === 'string') return p.trim();
-          if (p && p._) return p._.trim();
-          return '';
-        }).filter(Boolean).join('\n\n');
-      }
       
       feats.push({
         name: safeGet(feat, 'name.0'),
         category: safeGet(feat, 'category.0'),
-        level: safeGet(feat, 'level.0'),
-        description: description
+        level: toNumber(safeGet(feat, 'level.0')),
+        description: formattedTextToText(textObj),
+        descriptionHtml: formattedTextToHtml(textObj),
+        ...rules.featFields(feat)
       });
     }
   });
@@ -248,31 +612,117 @@ function generateCharacterHTML(characterData) {
     if (key.startsWith('id-')) {
       const item = invListData[key][0];
       
-      // Extract description from formatted text
-      let description = '';
       const descObj = item.description ? item.description[0] : null;
-      if (descObj && descObj.p) {
-        description = descObj.p.map(p => {
-          if (typeof p === 'string') return p.trim();
-          if (p && p._) return p._.trim();
-          if (p && p.b && p.b[0]) {
-            // Handle bold text like "Splash. " followed by description
-            const boldText = p.b[0];
-            const restText = p._ ? p._.trim() : '';
-            return boldText + restText;
-          }
-          return '';
-        }).filter(Boolean).join('\n\n');
-      }
+      const nonIdDescObj = item.nonidentified ? item.nonidentified[0] : null;
+      const carried = toNumber(safeGet(item, 'carried.0'), ITEM_CARRIED.carried);
+      const cost = safeGet(item, 'cost.0', '');
+      const rarity = safeGet(item, 'rarity.0') || null;
+      const attuned = safeGet(item, 'attune.0') === '1';
+      const identified = safeGet(item, 'isidentified.0') !== '0';
+      const requiresAttunement = attuned || /attunement/i.test(rarity);
       
       inventory.push({
         name: safeGet(item, 'name.0'),
-        count: safeGet(item, 'count.0', '1'),
-        cost: safeGet(item, 'cost.0', ''),
-        description: description
+        count: toNumber(safeGet(item, 'count.0'), 1),
+        cost: cost,
+        costGp: parseCostGp(cost),
+        weight: toNumber(safeGet(item, 'weight.0')),
+        carried: carried !== ITEM_CARRIED.notCarried,
+        equipped: carried === ITEM_CARRIED.equipped,
+        // Name of the container item it's stored in (a backpack, a bag of holding...)
+        location: safeGet(item, 'location.0') || null,
+        type: safeGet(item, 'type.0') || null,
+        // FGU only gives magic items a rarity, and only hides what players haven't identified
+        magic: Boolean(rarity) || requiresAttunement || !identified,
+        rarity,
+        requiresAttunement,
+        attuned,
+        identified,
+        unidentifiedName: safeGet(item, 'nonid_name.0') || null,
+        unidentifiedDescription: nonIdDescObj ? formattedTextToText(nonIdDescObj) : null,
+        unidentifiedDescriptionHtml: nonIdDescObj ? formattedTextToHtml(nonIdDescObj) : null,
+        description: formattedTextToText(descObj),
+        descriptionHtml: formattedTextToHtml(descObj)
+      });
+    }
+  });
+  
+  // Only what the character has on them counts toward their load
+  const load = roundToHundredths(inventory.filter(item => item.carried).reduce((total, item) => total + item.weight * item.count, 0));
+  const strength = abilities.strength ? abilities.strength.score : 10;
+  const carryingLimits = rules.getCarryingLimits(strength);
+  let encumbranceStatus = 'normal';
+  if (load > carryingLimits.capacity) {
+    encumbranceStatus = 'overCapacity';
+  } else if (load > carryingLimits.heavilyEncumbered) {
+    encumbranceStatus = 'heavilyEncumbered';
+  } else if (load > carryingLimits.encumbered) {
+    encumbranceStatus = 'encumbered';
+  }
+  const encumbrance = { load, ...carryingLimits, status: encumbranceStatus };
+  
+  const attunement = {
+    attuned: inventory.filter(item => item.attuned).length,
+    slots: rules.getAttunementSlots(classesInfo)
+  };
+  
+  // Extract Weapons
+  // FGU weapon types: 0 = melee, 1 = ranged, 2 = thrown
+  const weapons = [];
+  const weaponTypes = ['melee', 'ranged', 'thrown'];
+  const weaponListData = safeGet(char, 'weaponlist.0', {});
+  Object.keys(weaponListData).forEach(key => {
+    if (key.startsWith('id-')) {
+      const weapon = weaponListData[key][0];
+      const type = weaponTypes[toNumber(safeGet(weapon, 'type.0'))] || 'melee';
+      const properties = safeGet(weapon, 'properties.0');
+      
+      // An empty or "base" attack stat means FGU picks the ability from the weapon type and properties
+      let attackAbility = safeGet(weapon, 'attackstat.0');
+      if (!attackAbility || attackAbility === 'base') {
+        if (type === 'ranged') {
+          attackAbility = 'dexterity';
+        } else if (/finesse/i.test(properties) && abilityMod('dexterity') > abilityMod('strength')) {
+          attackAbility = 'dexterity';
+        } else {
+          attackAbility = 'strength';
+        }
+      }
+      
+      const proficient = safeGet(weapon, 'prof.0') === '1';
+      const attackBonus = abilityMod(attackAbility) + (proficient ? profBonus : 0) + toNumber(safeGet(weapon, 'attackbonus.0'));
+      
+      const damage = [];
+      const damageListData = safeGet(weapon, 'damagelist.0', {});
+      Object.keys(damageListData).forEach(dmgKey => {
+        if (dmgKey.startsWith('id-')) {
+          const dmg = damageListData[dmgKey][0];
+          const dmgStat = safeGet(dmg, 'stat.0');
+          const statBonus = dmgStat === 'base' ? abilityMod(attackAbility) : abilityMod(dmgStat);
+          damage.push({
+            dice: formatDice(safeGet(dmg, 'dice.0')),
+            bonus: statBonus + toNumber(safeGet(dmg, 'bonus.0')),
+            type: safeGet(dmg, 'type.0')
+          });
+        }
+      });
+      
+      const maxAmmo = toNumber(safeGet(weapon, 'maxammo.0'));
+      
+      weapons.push({
+        name: safeGet(weapon, 'name.0'),
+        type: type,
+        attackAbility: attackAbility,
+        attackBonus: attackBonus,
+        proficient: proficient,
+        damage: damage,
+        properties: properties,
+        ammo: maxAmmo > 0 ? { max: maxAmmo, used: toNumber(safeGet(weapon, 'ammo.0')) } : null,
+        ...rules.weaponFields(weapon)
       });
     }
   });
+  weapons.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
   
   // Extract Coins
   const coins = {};
@@ -281,47 +731,47 @@ function generateCharacterHTML(characterData) {
     if (key.startsWith('id-')) {
       const coin = coinsData[key][0];
       const coinName = safeGet(coin, 'name.0');
-      const coinAmount = safeGet(coin, 'amount.0', '0');
+      const coinAmount = toNumber(safeGet(coin, 'amount.0'));
       if (coinName) {
         coins[coinName] = coinAmount;
       }
     }
   });
   
+  const netWorth = getNetWorth(inventory, coins);
+  
   // Extract Spell Slots
-  const spellSlots = {};
+  const spellSlots = [];
   const powermeta = safeGet(char, 'powermeta.0', {});
   for (let i = 1; i <= 9; i++) {
     const slotKey = `spellslots${i}`;
     if (powermeta[slotKey] && powermeta[slotKey][0]) {
       const slot = powermeta[slotKey][0];
-      const maxSlots = safeGet(slot, 'max.0', '0');
-      const usedSlots = safeGet(slot, 'used.0', '0');
-      if (maxSlots !== '0') {
-        spellSlots[i] = { max: maxSlots, used: usedSlots };
+      const maxSlots = toNumber(safeGet(slot, 'max.0'));
+      const usedSlots = toNumber(safeGet(slot, 'used.0'));
+      if (maxSlots > 0) {
+        spellSlots.push({ level: i, max: maxSlots, used: usedSlots });
       }
     }
   }
   
-  // Extract Sorcery Points
-  let sorceryPoints = null;
-  const powersData = safeGet(char, 'powers.0', {});
-  Object.keys(powersData).forEach(key => {
-    if (key.startsWith('id-')) {
-      const power = powersData[key][0];
-      const powerName = safeGet(power, 'name.0');
-      if (powerName === 'Sorcery Points') {
-        const max = safeGet(power, 'prepared.0', '0');
-        const used = safeGet(power, 'locked.0', '0');
-        if (max !== '0') {
-          sorceryPoints = { max, used };
-        }
+  // Extract Pact Magic Slots (Warlock), stored at the slot level and recovered on a short rest
+  const pactMagicSlots = [];
+  for (let i = 1; i <= 9; i++) {
+    const slotKey = `pactmagicslots${i}`;
+    if (powermeta[slotKey] && powermeta[slotKey][0]) {
+      const slot = powermeta[slotKey][0];
+      const maxSlots = toNumber(safeGet(slot, 'max.0'));
+      const usedSlots = toNumber(safeGet(slot, 'used.0'));
+      if (maxSlots > 0) {
+        pactMagicSlots.push({ level: i, max: maxSlots, used: usedSlots });
       }
     }
-  });
+  }
   
   // Extract Spells
   const spells = [];
+  const powersData = safeGet(char, 'powers.0', {});
   Object.keys(powersData).forEach(key => {
     if (key.startsWith('id-')) {
       const power = powersData[key][0];
@@ -330,529 +780,750 @@ function generateCharacterHTML(characterData) {
       const school = safeGet(power, 'school.0', '');
       
       if ((group.includes('Spells') || school) && level) {
-        // Extract description from formatted text
-        let description = '';
+        const source = spellcasting.find(src => src.name === group) || addSpellcastingSource(group, null);
         const descObj = power.description ? power.description[0] : null;
-        if (descObj && descObj.p) {
-          // Join all paragraphs
-          description = descObj.p.map(p => {
-            if (typeof p === 'string') return p.trim();
-            if (p && p._) return p._.trim();
-            return '';
-          }).filter(Boolean).join('\n\n');
-        }
+        
+        // Attack, save, damage and heal data live in the power's actions list
+        let attack = null;
+        let save = null;
+        const damage = [];
+        const heal = [];
+        const actionsData = safeGet(power, 'actions.0', {});
+        Object.keys(actionsData).forEach(actionKey => {
+          if (actionKey.startsWith('id-')) {
+            const action = actionsData[actionKey][0];
+            const actionType = safeGet(action, 'type.0');
+            if (actionType === 'cast') {
+              attack = safeGet(action, 'atktype.0') || attack;
+              save = safeGet(action, 'savetype.0') || save;
+            } else if (actionType === 'damage' || actionType === 'heal') {
+              const rollListData = safeGet(action, actionType === 'damage' ? 'damagelist.0' : 'heallist.0', {});
+              Object.keys(rollListData).forEach(rollKey => {
+                if (rollKey.startsWith('id-')) {
+                  const roll = rollListData[rollKey][0];
+                  const rollStat = safeGet(roll, 'stat.0');
+                  const statBonus = abilityMod(rollStat === 'base' ? source.ability : rollStat);
+                  const entry = {
+                    dice: formatDice(safeGet(roll, 'dice.0')),
+                    bonus: statBonus + toNumber(safeGet(roll, 'bonus.0'))
+                  };
+                  if (actionType === 'damage') {
+                    entry.type = safeGet(roll, 'type.0');
+                    damage.push(entry);
+                  } else {
+                    heal.push(entry);
+                  }
+                }
+              });
+            }
+          }
+        });
+        
+        const duration = safeGet(power, 'duration.0');
         
         spells.push({
           name: safeGet(power, 'name.0'),
-          level: level,
-          prepared: safeGet(power, 'prepared.0', '0'),
+          level: toNumber(level),
+          prepared: toNumber(safeGet(power, 'prepared.0')) > 0,
+          source: group,
           school: school,
-          description: description
+          castingTime: safeGet(power, 'castingtime.0'),
+          range: safeGet(power, 'range.0'),
+          components: safeGet(power, 'components.0'),
+          duration: duration,
+          concentration: /concentration/i.test(duration),
+          ritual: safeGet(power, 'ritual.0') === '1',
+          attack: attack,
+          save: save,
+          damage: damage,
+          heal: heal,
+          description: formattedTextToText(descObj),
+          descriptionHtml: formattedTextToHtml(descObj)
         });
       }
     }
   });
   spells.sort((a, b) => {
-    const aLevel = parseInt(a.level) || 99;
-    const bLevel = parseInt(b.level) || 99;
+    const aLevel = a.level || 99;
+    const bLevel = b.level || 99;
     if (aLevel !== bLevel) return aLevel - bLevel;
     return a.name.localeCompare(b.name);
   });
   
-  // Generate HTML (same styling as Python version)
-  let html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Character Sheet - ${escapeHtml(name) || 'Unknown'}</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        html { font-size: 16px; }
-        body {
-            font-family: 'Book Antiqua', 'Palatino Linotype', Palatino, serif;
-            background: linear-gradient(135deg, #f5f1e8 0%, #e8ddd4 100%);
-            padding: 20px;
-            color: #2c1810;
-            line-height: 1.4;
-            min-width: 280px;
-            word-wrap: break-word;
-            overflow-x: hidden;
-        }
-        .character-sheet {
-            max-width: 1200px;
-            margin: 0 auto;
-            background: white;
-            border: 3px solid #8b6914;
-            border-radius: 8px;
-            box-shadow: 0 4px 20px rgba(0,0,0,0.2);
-            padding: 25px;
-            box-sizing: border-box;
-            width: 100%;
-        }
-        .header {
-            border-bottom: 3px solid #8b6914;
-            padding-bottom: 15px;
-            margin-bottom: 20px;
-        }
-        .header h1 {
-            font-size: 2.5em;
-            color: #8b6914;
-            text-align: center;
-            margin-bottom: 10px;
-            text-shadow: 2px 2px 4px rgba(0,0,0,0.1);
-        }
-        .header-info {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 10px;
-            font-size: 1.1em;
-        }
-        .header-info div {
-            background: #f5f1e8;
-            padding: 8px 12px;
-            border-radius: 4px;
-            border-left: 4px solid #8b6914;
-        }
-        .header-info strong { color: #8b6914; margin-right: 5px; }
-        .page {
-            background: white;
-            border: 3px solid #8b6914;
-            border-radius: 24px;
-            padding: 30px 20px;
-            margin: 30px auto;
-            max-width: 900px;
-            box-shadow: 0 4px 20px rgba(0,0,0,0.1);
-            box-sizing: border-box;
-            width: 100%;
-        }
-        .page-layout {
-            display: grid;
-            grid-template-columns: 250px 1fr;
-            gap: 20px;
-            margin-bottom: 20px;
-        }
-        .sidebar {
-            display: flex;
-            flex-direction: column;
-            gap: 5px;
-            width: 100%;
-            min-width: 0;
-        }
-        .stat-box {
-            background: #f5f1e8;
-            border: 1px solid #8b6914;
-            border-radius: 3px;
-            padding: 3px;
-            text-align: center;
-            margin-bottom: 4px;
-        }
-        .stat-box h3 {
-            color: #8b6914;
-            font-size: 0.7em;
-            margin-bottom: 2px;
-            text-transform: uppercase;
-        }
-        .ability-score {
-            font-size: 1.2em;
-            font-weight: bold;
-            color: #2c1810;
-            margin: 2px 0;
-        }
-        .ability-modifier {
-            font-size: 0.95em;
-            color: #8b6914;
-            font-weight: bold;
-            margin: 2px 0;
-        }
-        .save-box { font-size: 0.85em; margin-top: 5px; }
-        .skill-item {
-            display: flex;
-            justify-content: space-between;
-            padding: 4px 0;
-            border-bottom: 1px dotted #ccc;
-        }
-        .section {
-            background: #f5f1e8;
-            border: 2px solid #8b6914;
-            border-radius: 6px;
-            padding: 15px;
-        }
-        .section h2 {
-            color: #8b6914;
-            font-size: 1.3em;
-            margin-bottom: 12px;
-            padding-bottom: 8px;
-            border-bottom: 2px solid #8b6914;
-            text-transform: uppercase;
-            letter-spacing: 1px;
-        }
-        .hp-box {
-            text-align: center;
-            padding: 15px;
-            background: white;
-            border-radius: 4px;
-            margin-bottom: 10px;
-        }
-        .hp-box .hp-total {
-            font-size: 2em;
-            font-weight: bold;
-            color: #c12727;
-        }
-        .hp-box .hp-current {
-            font-size: 1.5em;
-            color: #2c1810;
-        }
-        .hp-details {
-            display: flex;
-            justify-content: space-around;
-            margin-top: 10px;
-            font-size: 0.9em;
-        }
-        .features-list, .feats-list, .inventory-list { list-style: none; }
-        .features-list li, .feats-list li {
-            padding: 6px 0;
-            border-bottom: 1px dotted #ccc;
-        }
-        .inventory-list li {
-            padding: 6px 0;
-            display: flex;
-            justify-content: space-between;
-            gap: 12px;
-            border-bottom: 1px dotted #ccc;
-        }
-        .spell-slot-level {
-            display: flex;
-            align-items: center;
-            gap: 6px;
-            margin-bottom: 6px;
-        }
-        .spell-slot-level strong {
-            min-width: 70px;
-            font-size: 0.9em;
-            color: #8b6914;
-        }
-        .spell-slot-bubbles {
-            display: flex;
-            gap: 4px;
-            flex-wrap: wrap;
-        }
-        .coins {
-            display: flex;
-            gap: 15px;
-            justify-content: center;
-            flex-wrap: wrap;
-            padding: 10px;
-        }
-        .coin-item {
-            text-align: center;
-            padding: 8px 15px;
-            background: white;
-            border-radius: 4px;
-            border: 1px solid #8b6914;
-        }
-        .coin-item input[type="text"] {
-            width: 80px;
-            padding: 6px;
-            border: 1px solid #8b6914;
-            border-radius: 3px;
-            text-align: center;
-            font-size: 1.1em;
-            font-weight: bold;
-            color: #8b6914;
-            margin-top: 8px;
-        }
-        .spell-level-toggle {
-            background: white;
-            border: 2px solid #8b6914;
-            border-radius: 4px;
-            padding: 12px;
-            margin-bottom: 10px;
-            cursor: pointer;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            user-select: none;
-            transition: background-color 0.2s;
-        }
-        .spell-level-toggle:hover { background-color: #f5f1e8; }
-        .spell-level-toggle h3 {
-            color: #8b6914;
-            font-size: 1.1em;
-            margin: 0;
-        }
-        .spell-level-content { display: none; }
-        .spell-level-content.active { display: block; }
-        .spell-description {
-            font-size: 0.9em;
-            color: #333;
-            margin-top: 6px;
-            padding-top: 6px;
-            border-top: 1px dotted #ccc;
-        }
-        .tooltip-trigger {
-            position: relative;
-            cursor: help;
-            border-bottom: 1px dotted #8b6914;
-        }
-        .tooltip {
-            display: none;
-            position: absolute;
-            left: 0;
-            top: 100%;
-            z-index: 1000;
-            background: white;
-            border: 2px solid #8b6914;
-            border-radius: 6px;
-            padding: 12px;
-            margin-top: 5px;
-            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-            max-width: 400px;
-            min-width: 300px;
-            font-size: 0.9em;
-            line-height: 1.4;
-            white-space: normal;
-        }
-        .tooltip-trigger:hover .tooltip {
-            display: block;
-        }
-        .tooltip-title {
-            font-weight: bold;
-            color: #8b6914;
-            margin-bottom: 8px;
-            padding-bottom: 6px;
-            border-bottom: 1px solid #8b6914;
-        }
-        .tooltip-content {
-            color: #2c1810;
-        }
-        .tooltip-content p {
-            margin: 6px 0;
-        }
-        @media (max-width: 900px) {
-            body { padding: 4px; }
-            .character-sheet { padding: 6px; border: 2px solid #8b6914; }
-            .header { padding-bottom: 10px; margin-bottom: 12px; }
-            .header h1 { font-size: 1.4em; margin-bottom: 6px; }
-            .header-info { grid-template-columns: 1fr; gap: 4px; font-size: 0.9em; }
-            .page-layout {
-                grid-template-columns: 1fr !important;
-                gap: 10px !important;
-                margin-bottom: 15px !important;
-            }
-            .sidebar {
-                width: 100%;
-                flex-direction: row;
-                flex-wrap: wrap;
-                gap: 8px;
-            }
-            .stat-box {
-                flex: 1;
-                min-width: 90px;
-                padding: 4px;
-                margin-bottom: 0;
-            }
-            .section { padding: 8px; }
-            .section h2 { font-size: 0.95em; margin-bottom: 6px; }
-            .page { border: 2px solid #8b6914; padding: 10px; margin: 12px 0; border-radius: 8px; }
-        }
-        @media (max-width: 600px) {
-            html { font-size: 12px; }
-            body { padding: 2px; margin: 0; }
-            .character-sheet { padding: 4px; border: 1px solid #8b6914; margin: 0; }
-            .header { padding-bottom: 8px; margin-bottom: 10px; }
-            .header h1 { font-size: 1em; margin: 0; padding-bottom: 6px; }
-            .header-info { grid-template-columns: 1fr; gap: 4px; font-size: 0.85em; }
-            .page { border: 1px solid #8b6914; padding: 6px; margin: 8px 0; border-radius: 4px; }
-            .page-layout {
-                grid-template-columns: 1fr !important;
-                gap: 8px !important;
-                margin-bottom: 10px !important;
-            }
-            .sidebar { width: 100%; gap: 3px; }
-            .stat-box { padding: 2px 3px; margin-bottom: 1px; font-size: 0.8em; }
-            .stat-box h3 { font-size: 0.6em; margin-bottom: 1px; }
-            .ability-score { font-size: 1em; margin: 1px 0; }
-            .section { padding: 4px; }
-            .section h2 { font-size: 0.85em; margin-bottom: 6px; padding-bottom: 4px; }
-            .spell-level-toggle { flex-direction: column; gap: 6px; padding: 8px; }
-            .spell-level-toggle h3 { font-size: 0.85em; }
-            button { padding: 3px 6px !important; font-size: 0.7em !important; }
-            .coin-item input[type="text"] { width: 60px; padding: 3px; font-size: 0.85em; }
-            .hp-details { flex-direction: column; gap: 6px; }
-            .skill-item { padding: 2px 0; font-size: 0.8em; }
-        }
-    </style>
-</head>
-<body>
-    <div class="character-sheet">
-        <div class="header">
-            <h1>${escapeHtml(name) || 'Character Name'}</h1>
-            <div class="header-info">`;
+  // Extract limited-use resources (Sorcery Points, Ki, Rage, Channel Divinity...)
+  // A power group with uses shares them between its powers, otherwise each power counts its own
+  const resources = [];
+  const sharedUseGroups = [];
+  const isSpellGroup = groupName => spellcasting.some(src => src.name === groupName);
+  Object.keys(powerGroupData).forEach(key => {
+    if (key.startsWith('id-')) {
+      const powerGroup = powerGroupData[key][0];
+      const groupName = safeGet(powerGroup, 'name.0');
+      const max = toNumber(safeGet(powerGroup, 'prepared.0'));
+      if (groupName && max > 0 && !isSpellGroup(groupName)) {
+        let used = 0;
+        Object.keys(powersData).forEach(powerKey => {
+          if (powerKey.startsWith('id-') && safeGet(powersData[powerKey][0], 'group.0') === groupName) {
+            used += toNumber(safeGet(powersData[powerKey][0], 'cast.0'));
+          }
+        });
+        sharedUseGroups.push(groupName);
+        resources.push({
+          name: groupName,
+          max: max,
+          used: Math.min(used, max),
+          period: RESOURCE_PERIODS[safeGet(powerGroup, 'usesperiod.0')] || 'long'
+        });
+      }
+    }
+  });
+  Object.keys(powersData).forEach(key => {
+    if (key.startsWith('id-')) {
+      const power = powersData[key][0];
+      const group = safeGet(power, 'group.0');
+      const max = toNumber(safeGet(power, 'prepared.0'));
+      const isSpell = isSpellGroup(group) || safeGet(power, 'school.0');
+      if (max > 0 && !isSpell && !sharedUseGroups.includes(group)) {
+        resources.push({
+          name: safeGet(power, 'name.0'),
+          max: max,
+          used: Math.min(toNumber(safeGet(power, 'cast.0')), max),
+          period: RESOURCE_PERIODS[safeGet(power, 'usesperiod.0')] || 'long'
+        });
+      }
+    }
+  });
   
-  if (race) {
-    let raceDisplay = race;
-    if (subrace) raceDisplay += ` (${subrace})`;
-    html += `                <div><strong>Race:</strong> ${escapeHtml(raceDisplay)}</div>\n`;
-  }
+  return {
+    modelVersion: CHARACTER_MODEL_VERSION,
+    ruleset: { id: rules.id, label: rules.label },
+    name,
+    race,
+    subrace,
+    alignment,
+    background,
+    level: totalLevel,
+    classes: classesInfo,
+    proficiencyBonus: profBonus,
+    abilities,
+    hp: { total: hpTotal, wounds: hpWounds, temporary: hpTemp, deathSaves },
+    ac,
+    initiative,
+    speed,
+    spellcasting,
+    skills,
+    passives,
+    languages,
+    proficiencies,
+    senses,
+    defenses,
+    features,
+    feats,
+    inventory,
+    encumbrance,
+    attunement,
+    weapons,
+    coins,
+    netWorth,
+    spellSlots,
+    pactMagicSlots,
+    resources,
+    spells
+  };
+}
+
+// Sections the sheet reads from; one missing usually means a partial or hand-edited export
+const EXPECTED_SECTIONS = ['abilities', 'classes', 'hp', 'skilllist', 'featurelist', 'inventorylist'];
+
+/**
+ * Lists what parseCharacter had to skip or guess for an export: missing
+ * sections, powers filed under a power group the character doesn't have,
+ * spell groups without a casting ability. Each warning has a stable code,
+ * its parameters and a message in the requested locale.
+ */
+function diagnoseCharacter(xmlRoot, character, locale = DEFAULT_LOCALE) {
+  const t = getTranslator(locale, 'warnings');
+  const char = safeGet(xmlRoot, 'character', {});
+  const warnings = [];
+  const warn = (code, params = {}) => warnings.push({ code, ...params, message: t(code, params) });
   
-  if (classesInfo.length > 0) {
-    const classesStr = classesInfo.map(c => `${c.name} ${c.level}`).join(', ');
-    html += `                <div><strong>Class & Level:</strong> ${escapeHtml(classesStr)}</div>\n`;
-  }
+  if (!character.name) warn('MISSING_NAME');
   
-  if (background) {
-    html += `                <div><strong>Background:</strong> ${escapeHtml(background)}</div>\n`;
-  }
+  EXPECTED_SECTIONS.forEach(section => {
+    if (!char[section]) warn('MISSING_SECTION', { section });
+  });
   
-  if (alignment) {
-    html += `                <div><strong>Alignment:</strong> ${escapeHtml(alignment)}</div>\n`;
+  if (char.abilities) {
+    const sheetText = getTranslator(locale, 'sheet');
+    getRulesetAdapter(xmlRoot).abilityNames.forEach(ability => {
+      if (!safeGet(char, `abilities.0.${ability}.0.score.0`)) {
+        warnings.push({ code: 'MISSING_ABILITY', ability, message: t('MISSING_ABILITY', { ability: sheetText(`abilities.${ability}`) }) });
+      }
+    });
   }
   
-  html += `                <div><strong>Proficiency Bonus:</strong> ${formatModifier(profBonus)}</div>
-            </div>
-        </div>
-        
-        <div class="page">
-            <div class="page-layout">
-                <div class="sidebar">`;
+  const groupNames = [];
+  const powerGroupData = safeGet(char, 'powergroup.0', {});
+  Object.keys(powerGroupData).forEach(key => {
+    if (key.startsWith('id-')) {
+      groupNames.push(safeGet(powerGroupData[key][0], 'name.0'));
+    }
+  });
   
-  // Ability Scores
-  abilityNames.forEach(abilName => {
-    const abilData = abilities[abilName] || {};
-    const abilDisplay = abilName.substring(0, 3).toUpperCase();
-    const score = abilData.score || '10';
-    const bonus = abilData.bonus || '0';
-    const save = abilData.save || '0';
-    const isProf = abilData.saveprof || false;
-    
-    html += `                    <div class="stat-box">
-                        <h3>${abilDisplay}</h3>
-                        <div class="ability-score">${escapeHtml(score)}</div>
-                        <div class="ability-modifier">${formatModifier(bonus)}</div>
-                        <div class="save-box">SAVE ${formatModifier(save)} ${isProf ? '✓' : ''}</div>
-                    </div>\n`;
+  const unknownGroups = {};
+  const powersData = safeGet(char, 'powers.0', {});
+  Object.keys(powersData).forEach(key => {
+    if (key.startsWith('id-')) {
+      const group = safeGet(powersData[key][0], 'group.0');
+      if (group && !groupNames.includes(group)) {
+        unknownGroups[group] = (unknownGroups[group] || 0) + 1;
+      }
+    }
   });
+  Object.keys(unknownGroups).forEach(group => warn('UNKNOWN_POWER_GROUP', { group, count: unknownGroups[group] }));
   
-  // Skills
-  html += `                    <div class="stat-box">
-                        <h3>Skills</h3>
-                        <div style="text-align: left; font-size: 0.85em;">`;
+  character.spellcasting.forEach(source => {
+    if (!source.ability) warn('NO_SPELLCASTING_ABILITY', { group: source.name });
+  });
   
-  skills.forEach(skill => {
-    const profIndicator = skill.prof ? '●' : '○';
-    html += `                            <div class="skill-item">
-                                <span>${profIndicator} ${escapeHtml(skill.name)}</span>
-                                <span>${formatModifier(skill.total)}</span>
-                            </div>\n`;
+  return warnings;
+}
+
+/**
+ * Recomputes ability modifiers, saves, skills, passive Perception, the
+ * proficiency bonus, initiative and spell save DCs from the ability scores
+ * and proficiencies, and lists every value FGU stores differently (usually a
+ * manual edit). Each mismatch has the check, what it's for, both values and
+ * a message in the requested locale.
+ */
+function auditCharacter(xmlRoot, character, locale = DEFAULT_LOCALE) {
+  const t = getTranslator(locale, 'warnings');
+  const sheetText = getTranslator(locale, 'sheet');
+  const char = safeGet(xmlRoot, 'character', {});
+  const profBonus = character.proficiencyBonus;
+  const mismatches = [];
+  const scoreMod = ability => (character.abilities[ability] ? Math.floor((character.abilities[ability].score - 10) / 2) : 0);
+  const check = (type, name, label, stored, expected, signed = true) => {
+    if (stored === expected) return;
+    const format = value => (signed ? formatModifier(value) : String(value));
+    mismatches.push({
+      check: type,
+      name,
+      stored,
+      expected,
+      message: t('AUDIT_MISMATCH', { label, stored: format(stored), expected: format(expected) })
+    });
+  };
+  
+  // Only values the export actually stores are checked
+  Object.keys(character.abilities).forEach(ability => {
+    const abil = safeGet(char, `abilities.0.${ability}.0`, {});
+    const abilData = character.abilities[ability];
+    const abilLabel = sheetText(`abilities.${ability}`);
+    if (safeGet(abil, 'bonus.0') !== '') {
+      check('abilityModifier', ability, t('auditChecks.abilityModifier', { ability: abilLabel }), abilData.bonus, scoreMod(ability));
+    }
+    if (safeGet(abil, 'save.0') !== '') {
+      check('save', ability, sheetText('abilitySave', { ability: abilLabel }), abilData.save,
+        scoreMod(ability) + (abilData.saveProficient ? profBonus : 0) + toNumber(safeGet(abil, 'savemodifier.0')));
+    }
   });
   
-  html += `                        </div>
-                    </div>
-                </div>
-                
-                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px;">
-                    <div class="section">
-                        <h2>Hit Points</h2>
-                        <div class="hp-box">
-                            <div class="hp-total">${escapeHtml(hpTotal)}</div>
-                            <div class="hp-current">Current HP</div>
-                            <div class="hp-details">
-                                <div style="display: flex; align-items: center; gap: 10px;">
-                                    <span>Wounds:</span>
-                                    <input type="text" value="${hpWounds}" style="width: 60px; padding: 4px; border: 1px solid #8b6914; text-align: center;">
-                                </div>
-                                <div style="display: flex; align-items: center; gap: 10px;">
-                                    <span>Temp:</span>
-                                    <input type="text" value="${hpTemp}" style="width: 60px; padding: 4px; border: 1px solid #8b6914; text-align: center;">
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                    
-                    <div class="section">
-                        <h2>Combat Stats</h2>
-                        <div style="text-align: center; padding: 15px;">
-                            <div style="margin-bottom: 15px;">
-                                <strong>Armor Class:</strong>
-                                <div style="font-size: 1.8em; font-weight: bold; color: #8b6914;">${escapeHtml(ac)}</div>
+  // Half proficiency rounds down
+  const proficiencyMultipliers = { none: 0, half: 0.5, proficient: 1, expertise: 2 };
+  const expectedSkills = {};
+  const skillListData = safeGet(char, 'skilllist.0', {});
+  Object.keys(skillListData).forEach(key => {
+    if (key.startsWith('id-')) {
+      const skill = skillListData[key][0];
+      const name = safeGet(skill, 'name.0');
+      const proficiency = SKILL_PROFICIENCY_LEVELS[safeGet(skill, 'prof.0')] || 'none';
+      const expected = scoreMod(safeGet(skill, 'stat.0')) + Math.floor(profBonus * proficiencyMultipliers[proficiency]) +
+        toNumber(safeGet(skill, 'misc.0'));
+      expectedSkills[name] = expected;
+      if (safeGet(skill, 'total.0') !== '') {
+        check('skill', name, name, toNumber(safeGet(skill, 'total.0')), expected);
+      }
+    }
+  });
+  
+  // FGU keeps passive Perception as its own field
+  const storedPerception = safeGet(char, 'perception.0');
+  if (storedPerception !== '') {
+    const perception = PASSIVE_SKILLS.perception;
+    const expected = 10 + (perception.skill in expectedSkills ? expectedSkills[perception.skill] : scoreMod(perception.ability));
+    check('passivePerception', '', sheetText('passivePerception'), toNumber(storedPerception), expected, false);
+  }
+  
+  const storedProfBonus = safeGet(char, 'profbonus.0');
+  if (storedProfBonus !== '') {
+    check('proficiencyBonus', '', sheetText('proficiencyBonus'), toNumber(storedProfBonus), profBonus);
+  }
+  
+  if (safeGet(char, 'initiative.0.total.0') !== '') {
+    check('initiative', '', sheetText('initiative'), character.initiative,
+      scoreMod('dexterity') + toNumber(safeGet(char, 'initiative.0.misc.0')));
+  }
+  
+  return mismatches;
+}
+
+// One <charsheet> entry of a campaign db.xml as a character export of its own, so the
+// library stores (and versions) just that character instead of the whole campaign
+function extractCampaignCharacterXml(xmlContent, entryId) {
+  const root = findXmlPath(xmlContent, ['root']);
+  const entry = findXmlPath(xmlContent, ['root', 'charsheet', entryId]);
+  if (!root || !entry || entry.selfClosing) {
+    return xmlContent;
+  }
+  return `<?xml version="1.0" encoding="utf-8"?>\n${xmlContent.slice(root.openStart, root.openEnd)}\n\t<character>${xmlContent.slice(entry.openEnd, entry.closeStart)}</character>\n</root>\n`;
+}
+
+// PCs in a campaign db.xml live under <charsheet> as id-XXXXX entries shaped like an
+// exported <character>. Each one gets its own root (keeping the campaign's root
+// attributes for ruleset detection) so parseCharacter reads it like an export.
+function getCampaignCharacters(xmlRoot) {
+  const charsheetData = safeGet(xmlRoot, 'charsheet.0', {});
+  const characters = [];
+  Object.keys(charsheetData).forEach(key => {
+    if (key.startsWith('id-')) {
+      const root = { $: xmlRoot.$, character: charsheetData[key] };
+      characters.push({ id: key, name: safeGet(root, 'character.0.name.0'), root });
+    }
+  });
+  return characters;
+}
+
+// Names in "before" but not "after" are removed, the other way round added
+function diffNames(beforeList, afterList) {
+  const beforeNames = beforeList.map(entry => entry.name).filter(Boolean);
+  const afterNames = afterList.map(entry => entry.name).filter(Boolean);
+  return {
+    added: [...new Set(afterNames.filter(entry => !beforeNames.includes(entry)))],
+    removed: [...new Set(beforeNames.filter(entry => !afterNames.includes(entry)))]
+  };
+}
+
+/**
+ * Compares two parsed exports of the same character, e.g. before and after a
+ * level up. Only what changed is listed; an empty list or null means no change.
+ */
+function diffCharacters(before, after) {
+  const changed = (a, b) => (a !== b ? { before: a, after: b } : null);
+  
+  const classNames = [...new Set(before.classes.concat(after.classes).map(cls => cls.name))];
+  const classLevel = (character, className) => {
+    const cls = character.classes.find(entry => entry.name === className);
+    return cls ? cls.level : 0;
+  };
+  
+  const abilityNames = [...new Set(Object.keys(before.abilities).concat(Object.keys(after.abilities)))];
+  const score = (character, ability) => (character.abilities[ability] ? character.abilities[ability].score : null);
+  
+  const skillNames = [...new Set(before.skills.concat(after.skills).map(skill => skill.name))];
+  const skillProficiency = (character, skillName) => {
+    const skill = character.skills.find(entry => entry.name === skillName);
+    return skill ? skill.proficiency : 'none';
+  };
+  
+  const itemCount = (character, itemName) => character.inventory
+    .filter(item => item.name === itemName)
+    .reduce((total, item) => total + item.count, 0);
+  const inventory = diffNames(before.inventory, after.inventory);
+  inventory.changed = [...new Set(before.inventory.map(item => item.name))]
+    .filter(itemName => after.inventory.some(item => item.name === itemName))
+    .map(itemName => ({ name: itemName, before: itemCount(before, itemName), after: itemCount(after, itemName) }))
+    .filter(item => item.before !== item.after);
+  
+  return {
+    name: after.name || before.name,
+    renamed: changed(before.name, after.name),
+    level: changed(before.level, after.level),
+    classes: classNames
+      .map(className => ({ name: className, before: classLevel(before, className), after: classLevel(after, className) }))
+      .filter(cls => cls.before !== cls.after),
+    abilities: abilityNames
+      .map(ability => ({ ability, before: score(before, ability), after: score(after, ability) }))
+      .filter(entry => entry.before !== entry.after),
+    hp: changed(before.hp.total, after.hp.total),
+    proficiencyBonus: changed(before.proficiencyBonus, after.proficiencyBonus),
+    skills: skillNames
+      .map(skillName => ({ name: skillName, before: skillProficiency(before, skillName), after: skillProficiency(after, skillName) }))
+      .filter(skill => skill.before !== skill.after),
+    features: diffNames(before.features, after.features),
+    feats: diffNames(before.feats, after.feats),
+    spells: diffNames(before.spells, after.spells),
+    inventory
+  };
+}
+
+// Sheet themes: themes/sheet.css holds the layout, each theme file only sets
+// colours and fonts. The page skeleton comes from templates/sheet.html.
+const DEFAULT_THEME = 'parchment';
+const SHEET_THEMES = {
+  parchment: 'Parchment',
+  dark: 'Dark',
+  'high-contrast': 'High Contrast',
+  'ink-saving': 'Ink Saving'
+};
+const SHEET_BASE_CSS = fs.readFileSync(path.join(__dirname, 'themes', 'sheet.css'), 'utf8');
+const SHEET_THEME_CSS = {};
+Object.keys(SHEET_THEMES).forEach(theme => {
+  SHEET_THEME_CSS[theme] = fs.readFileSync(path.join(__dirname, 'themes', `${theme}.css`), 'utf8');
+});
+const SHEET_TEMPLATE = fs.readFileSync(path.join(__dirname, 'templates', 'sheet.html'), 'utf8');
+const SHEET_LAYOUTS = {
+  full: 'Full sheet',
+  summary: 'One-page summary'
+};
+const TEMPLATE_PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+function getThemeCss(theme) {
+  if (!SHEET_THEME_CSS[theme]) {
+    throw new Error(`Unknown theme "${theme}"`);
+  }
+  return `${SHEET_THEME_CSS[theme]}\n${SHEET_BASE_CSS}`;
+}
+
+// Single pass, so placeholders inside the substituted values are left alone
+function renderTemplate(template, values) {
+  return template.replace(TEMPLATE_PLACEHOLDER, (match, key) => (key in values ? values[key] : match));
+}
+
+// Labels for the sheet and the upload/preview pages, one catalog per locale in locales/.
+// Keys missing from a catalog fall back to English.
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = ['en', 'pt-BR'];
+const LOCALES = {};
+SUPPORTED_LOCALES.forEach(locale => {
+  LOCALES[locale] = JSON.parse(fs.readFileSync(path.join(__dirname, 'locales', `${locale}.json`), 'utf8'));
+});
+
+// Exact tag first, then the same language from another region ("pt" or "pt-PT" -> "pt-BR")
+function matchLocale(tag) {
+  if (!tag) return null;
+  const lowerTag = String(tag).toLowerCase();
+  const language = lowerTag.split('-')[0];
+  return SUPPORTED_LOCALES.find(locale => locale.toLowerCase() === lowerTag)
+    || SUPPORTED_LOCALES.find(locale => locale.toLowerCase().split('-')[0] === language)
+    || null;
+}
+
+// An explicit locale wins (null when it isn't supported), otherwise the browser's Accept-Language
+function resolveRequestLocale(req, requested) {
+  if (requested) return matchLocale(requested);
+  return req.acceptsLanguages().map(matchLocale).find(Boolean) || DEFAULT_LOCALE;
+}
+
+function lookupMessage(catalog, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), catalog);
+}
+
+// t(key, params, fallback) for one catalog section, e.g. getTranslator('pt-BR', 'sheet')('speedValue', { speed: 30 }).
+// The fallback covers keys built from FGU data that no catalog knows about.
+function getTranslator(locale, section) {
+  const catalogs = [LOCALES[locale], LOCALES[DEFAULT_LOCALE]].filter(Boolean);
+  return (key, params = {}, fallback = key) => {
+    for (const catalog of catalogs) {
+      const message = lookupMessage(catalog, `${section}.${key}`);
+      if (typeof message === 'string') {
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+      }
+    }
+    return fallback;
+  };
+}
+
+function generateCharacterHTML(characterData, options = {}) {
+  return renderCharacterHTML(parseCharacter(characterData), options);
+}
+
+// options.sourceHash: hash of the uploaded XML, keeps saved sheet state apart between exports
+// options.theme: one of SHEET_THEMES; options.customCss is appended after the theme
+// options.template: page skeleton with {{title}}, {{theme}}, {{styles}}, {{sheet}} and {{script}}
+// options.layout: 'full' (default) or 'summary' for the condensed one-page sheet
+// options.locale: one of SUPPORTED_LOCALES, picks the label catalog
+// options.gmView: show unidentified items as they are: real names, descriptions, weights and costs
+// options.auditResults: mismatches from auditCharacter, reported and flagged on the full layout
+function renderCharacterHTML(character, options = {}) {
+  const t = getTranslator(options.locale || DEFAULT_LOCALE, 'sheet');
+  const sheetRollable = (text, label, roll) => rollable(text, label, roll, t('rollTitle', { label }));
+  if (options.layout === 'summary') {
+    return renderSheetPage(character, options, renderSummarySheet(character, t), '');
+  }
+  
+  const { name, abilities, skills, features, feats, inventory, encumbrance, attunement, coins, spells } = character;
+  const profBonus = character.proficiencyBonus;
+  const stateKey = `fgu-sheet:${name || 'character'}:${options.sourceHash || 'unknown'}`;
+  
+  const auditFlags = {};
+  (options.auditResults || []).forEach(mismatch => {
+    auditFlags[`${mismatch.check}:${mismatch.name}`] = mismatch;
+  });
+  const auditFlag = (check, flagName = '') => {
+    const mismatch = auditFlags[`${check}:${flagName}`];
+    return mismatch ? ` <span class="audit-flag" title="${escapeHtml(mismatch.message)}">⚠</span>` : '';
+  };
+  
+  let html = `    <div class="character-sheet">
+        <div class="header">
+            <h1>${escapeHtml(name) || t('characterName')}</h1>
+            <div class="header-info">`;
+  
+  html += renderHeaderInfo(character, t);
+  html += `                <div><strong>${t('proficiencyBonus')}:</strong> ${formatModifier(profBonus)}${auditFlag('proficiencyBonus')}</div>
+            </div>
+            <div class="sheet-controls">
+                <button onclick="exportToFgu()" style="background: var(--accent); color: var(--accent-text); border: none; padding: 6px 12px; border-radius: 3px; cursor: pointer; font-size: 0.85em;">${t('exportToFgu')}</button>
+                <button onclick="resetSheetState()" style="background: var(--accent); color: var(--accent-text); border: none; padding: 6px 12px; border-radius: 3px; cursor: pointer; font-size: 0.85em;">${t('resetSheet')}</button>
+            </div>
+        </div>
+        \n`;
+  
+  if (options.auditResults) {
+    const auditTitle = options.auditResults.length > 0 ? t('auditReport', { count: options.auditResults.length }) : t('auditClean');
+    html += `        <div class="${options.auditResults.length > 0 ? 'sheet-warning ' : ''}audit-report">
+            <strong>${auditTitle}</strong>\n`;
+    if (options.auditResults.length > 0) {
+      html += `            <ul>
+${options.auditResults.map(mismatch => `                <li>${escapeHtml(mismatch.message)}</li>\n`).join('')}            </ul>\n`;
+    }
+    html += `        </div>
+        \n`;
+  }
+  
+  html += `        <div class="page">
+            <div class="page-layout">
+                <div class="sidebar">`;
+  
+  // Ability Scores
+  ABILITY_NAMES.forEach(abilName => {
+    const abilData = abilities[abilName] || {};
+    const abilDisplay = t(`abilityCodes.${abilName}`);
+    const abilLabel = t(`abilities.${abilName}`);
+    const score = abilData.score || 10;
+    const bonus = abilData.bonus || 0;
+    const save = abilData.save || 0;
+    const isProf = abilData.saveProficient || false;
+    
+    html += `                    <div class="stat-box">
+                        <h3>${abilDisplay}</h3>
+                        <div class="ability-score">${score}</div>
+                        <div class="ability-modifier">${sheetRollable(formatModifier(bonus), t('abilityCheck', { ability: abilLabel }), { bonus })}${auditFlag('abilityModifier', abilName)}</div>
+                        <div class="save-box">${t('saveCode')} ${sheetRollable(formatModifier(save), t('abilitySave', { ability: abilLabel }), { bonus: save })} ${isProf ? '✓' : ''}${auditFlag('save', abilName)}</div>
+                    </div>\n`;
+  });
+  
+  // Skills
+  html += `                    <div class="stat-box">
+                        <h3>${t('skills')}</h3>
+                        <div style="text-align: left; font-size: 0.85em;">`;
+  
+  skills.forEach(skill => {
+    html += `                            <div class="skill-item">
+                                <span><span title="${t(`skillProficiency.${skill.proficiency}`)}">${SKILL_PROFICIENCY_MARKERS[skill.proficiency]}</span> ${escapeHtml(skill.name)}</span>
+                                <span>${sheetRollable(formatModifier(skill.total), skill.name, { bonus: skill.total })}${auditFlag('skill', skill.name)}</span>
+                            </div>\n`;
+  });
+  
+  html += `                        </div>
+                    </div>
+                    
+                    <div class="stat-box">
+                        <h3>${t('sensesAndProficiencies')}</h3>
+                        <div style="text-align: left; font-size: 0.85em;">\n`;
+  
+  [['perception', 'passivePerception'], ['insight', 'passiveInsight'], ['investigation', 'passiveInvestigation']].forEach(([key, label]) => {
+    html += `                            <div class="skill-item">
+                                <span>${t(label)}</span>
+                                <span>${character.passives[key]}${key === 'perception' ? auditFlag('passivePerception') : ''}</span>
+                            </div>\n`;
+  });
+  
+  // Proficiency entries read "Armor: Light armor", the category part goes in bold
+  const traitLines = [];
+  if (character.senses) traitLines.push([t('senses'), character.senses]);
+  if (character.languages.length > 0) traitLines.push([t('languages'), character.languages.join(', ')]);
+  character.proficiencies.forEach(proficiency => {
+    const match = proficiency.match(/^([^:]+):\s*(.+)$/);
+    traitLines.push(match ? [match[1], match[2]] : [t('proficiencies'), proficiency]);
+  });
+  traitLines.forEach(([label, text]) => {
+    html += `                            <div class="trait-line"><strong>${escapeHtml(label)}:</strong> ${escapeHtml(text)}</div>\n`;
+  });
+  
+  html += `                        </div>
+                    </div>
+                </div>
+                
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px;">
+                    <div class="section">
+                        <h2>${t('hitPoints')}</h2>
+                        <div class="hp-box">
+                            <div class="hp-total">${character.hp.total}</div>
+                            <div class="hp-current">${t('currentHp')}</div>
+                            <div class="hp-details">
+                                <div style="display: flex; align-items: center; gap: 10px;">
+                                    <span>${t('wounds')}:</span>
+                                    <input type="text" value="${character.hp.wounds}" data-state="hp.wounds" style="width: 60px; padding: 4px; border: 1px solid var(--accent); text-align: center;">
+                                </div>
+                                <div style="display: flex; align-items: center; gap: 10px;">
+                                    <span>${t('temporaryHp')}:</span>
+                                    <input type="text" value="${character.hp.temporary}" data-state="hp.temporary" style="width: 60px; padding: 4px; border: 1px solid var(--accent); text-align: center;">
+                                </div>
                             </div>
+                        </div>
+                        <div class="hp-trackers">\n`;
+  
+  // Death saves clear on any rest; hit dice come back on a long rest, all of them or half
+  // depending on the rules edition (see takeRest)
+  const bubbles = (count, used) => Array.from({ length: count }, (_, i) => `                                    <input type="checkbox" ${i < used ? 'checked' : ''}>\n`).join('');
+  [['successes', 'deathSaveSuccesses'], ['failures', 'deathSaveFailures']].forEach(([field, label]) => {
+    html += `                            <div class="spell-slot-level death-saves-${field}">
+                                <strong>${t(label)}:</strong>
+                                <div class="spell-slot-bubbles" data-reset="short" data-state="deathSaves.${field}">
+${bubbles(3, character.hp.deathSaves[field])}                                </div>
+                            </div>\n`;
+  });
+  
+  const rules = RULESET_ADAPTERS[(character.ruleset || {}).id] || RULESET_5E;
+  const hitDiceClasses = character.classes.filter(cls => cls.hitDie && cls.level > 0);
+  if (hitDiceClasses.length > 0) {
+    html += `                            <h3>${t('hitDice')}</h3>\n`;
+    hitDiceClasses.forEach(cls => {
+      html += `                            <div class="spell-slot-level">
+                                <strong>${t('hitDiceClass', { name: escapeHtml(cls.name), die: cls.hitDie })}:</strong>
+                                <div class="spell-slot-bubbles" data-reset="${rules.hitDiceRecovery === 'all' ? 'long' : 'long-half'}" data-die="${cls.hitDie.substring(1)}" data-state="hitDice.${escapeHtml(cls.name)}">
+${bubbles(cls.level, cls.hitDiceUsed)}                                </div>
+                            </div>\n`;
+    });
+  }
+  
+  html += `                        </div>
+                    </div>
+                    
+                    <div class="section">
+                        <h2>${t('combatStats')}</h2>
+                        <div style="text-align: center; padding: 15px;">
                             <div style="margin-bottom: 15px;">
-                                <strong>Initiative:</strong>
-                                <div style="font-size: 1.5em; font-weight: bold; color: #8b6914;">${formatModifier(initiative)}</div>
+                                <strong>${t('armorClass')}:</strong>
+                                <div style="font-size: 1.8em; font-weight: bold; color: var(--accent);">${character.ac}</div>
                             </div>
                             <div style="margin-bottom: 15px;">
-                                <strong>Speed:</strong>
-                                <div style="font-size: 1.5em; font-weight: bold; color: #8b6914;">${escapeHtml(speed)} ft</div>
+                                <strong>${t('initiative')}:</strong>
+                                <div style="font-size: 1.5em; font-weight: bold; color: var(--accent);">${sheetRollable(formatModifier(character.initiative), t('initiative'), { bonus: character.initiative })}${auditFlag('initiative')}</div>
                             </div>
                             <div style="margin-bottom: 15px;">
-                                <strong>Proficiency Bonus:</strong>
-                                <div style="font-size: 1.5em; font-weight: bold; color: #8b6914;">${formatModifier(profBonus)}</div>
+                                <strong>${t('speed')}:</strong>
+                                <div style="font-size: 1.5em; font-weight: bold; color: var(--accent);">${t('speedValue', { speed: character.speed })}</div>
                             </div>
                             <div>
-                                <strong>Melee Attack Bonus:</strong>
-                                <div style="font-size: 1.5em; font-weight: bold; color: #8b6914;">${formatModifier(meleeAttackBonus)}</div>
+                                <strong>${t('proficiencyBonus')}:</strong>
+                                <div style="font-size: 1.5em; font-weight: bold; color: var(--accent);">${formatModifier(profBonus)}${auditFlag('proficiencyBonus')}</div>
                             </div>
                         </div>
                     </div>
                     
+                    <div class="section" style="grid-column: 1 / -1;">
+                        <h2>${t('defenses')}</h2>\n`;
+  
+  const defenseTypes = Object.keys(DEFENSE_FIELDS).filter(type => character.defenses[type].length > 0);
+  if (defenseTypes.length > 0) {
+    html += `                        <div class="defense-list">\n`;
+    defenseTypes.forEach(type => {
+      html += `                            <div><strong>${t(`defenseTypes.${type}`)}:</strong> ${character.defenses[type].map(escapeHtml).join('; ')}</div>\n`;
+    });
+    html += `                        </div>\n`;
+  } else {
+    html += `                        <p><em>${t('noDefenses')}</em></p>\n`;
+  }
+  
+  html += `                    </div>
+                    
+                    <div class="section" style="grid-column: 1 / -1;">
+                        <h2>${t('attacks')}</h2>`;
+  
+  if (character.weapons.length > 0) {
+    const showMastery = character.weapons.some(weapon => weapon.mastery);
+    html += `
+                        <div class="attacks-table-wrapper">
+                            <table class="attacks-table">
+                                <thead>
+                                    <tr><th>${t('name')}</th><th>${t('type')}</th><th>${t('attack')}</th><th>${t('damage')}</th><th>${t('properties')}</th>${showMastery ? `<th>${t('mastery')}</th>` : ''}<th>${t('ammo')}</th></tr>
+                                </thead>
+                                <tbody>\n`;
+    character.weapons.forEach(weapon => {
+      const damageText = weapon.damage.map(formatDamage).join(' + ');
+      const ammoText = weapon.ammo ? `${weapon.ammo.max - weapon.ammo.used}/${weapon.ammo.max}` : '—';
+      html += `                                    <tr>
+                                        <td><strong>${escapeHtml(weapon.name)}</strong></td>
+                                        <td>${escapeHtml(t(`attackTypes.${weapon.type}`))}</td>
+                                        <td>${sheetRollable(formatModifier(weapon.attackBonus), t('attackRoll', { name: weapon.name }), { bonus: weapon.attackBonus })}</td>
+                                        <td>${weapon.damage.length > 0 ? sheetRollable(escapeHtml(damageText), t('damageRoll', { name: weapon.name }), { dice: toDiceExpression(weapon.damage) }) : ''}</td>
+                                        <td>${escapeHtml(weapon.properties)}</td>
+${showMastery ? `                                        <td>${escapeHtml(weapon.mastery || '—')}</td>\n` : ''}                                        <td>${ammoText}</td>
+                                    </tr>\n`;
+    });
+    html += `                                </tbody>
+                            </table>
+                        </div>`;
+  } else {
+    html += `
+                        <p><em>${t('noWeapons')}</em></p>`;
+  }
+  
+  html += `
+                    </div>
+                    
                     <div class="section">
-                        <h2>Features</h2>
+                        <h2>${t('features')}</h2>
                         <ul class="features-list">`;
   
   if (features.length > 0) {
     features.forEach(feature => {
       if (feature.description) {
-        // Split description into paragraphs for tooltip
-        const paragraphs = feature.description.split('\n\n').filter(Boolean);
-        const tooltipContent = paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('');
-        
         html += `                            <li>
                                 <span class="tooltip-trigger">
-                                    <strong>${escapeHtml(feature.name)}</strong> (Lvl ${escapeHtml(feature.level)})
+                                    <strong>${escapeHtml(feature.name)}</strong> (${t('featureLevel', { level: feature.level })})
                                     <span class="tooltip">
                                         <div class="tooltip-title">${escapeHtml(feature.name)}</div>
-                                        <div class="tooltip-content">${tooltipContent}</div>
+                                        <div class="tooltip-content formatted-text">${feature.descriptionHtml}</div>
                                     </span>
                                 </span>
                             </li>\n`;
       } else {
-        html += `                            <li><strong>${escapeHtml(feature.name)}</strong> (Lvl ${escapeHtml(feature.level)})</li>\n`;
+        html += `                            <li><strong>${escapeHtml(feature.name)}</strong> (${t('featureLevel', { level: feature.level })})</li>\n`;
       }
     });
   } else {
-    html += `                            <li><em>No features</em></li>\n`;
+    html += `                            <li><em>${t('noFeatures')}</em></li>\n`;
   }
   
   html += `                        </ul>
                     </div>
                     
                     <div class="section">
-                        <h2>Feats</h2>
+                        <h2>${t('feats')}</h2>
                         <ul class="feats-list">`;
   
   if (feats.length > 0) {
     feats.forEach(feat => {
       if (feat.description) {
-        // Split description into paragraphs for tooltip
-        const paragraphs = feat.description.split('\n\n').filter(Boolean);
-        const tooltipContent = paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('');
-        
         html += `                            <li>
                                 <span class="tooltip-trigger">
-                                    <strong>${escapeHtml(feat.name)}</strong>
+                                    <strong>${escapeHtml(feat.name)}</strong>${feat.origin ? ` (${t('originFeat')})` : ''}
                                     <span class="tooltip">
                                         <div class="tooltip-title">${escapeHtml(feat.name)}</div>
-                                        <div class="tooltip-content">${tooltipContent}</div>
+                                        <div class="tooltip-content formatted-text">${feat.descriptionHtml}</div>
                                     </span>
                                 </span>
                             </li>\n`;
       } else {
-        html += `                            <li><strong>${escapeHtml(feat.name)}</strong></li>\n`;
+        html += `                            <li><strong>${escapeHtml(feat.name)}</strong>${feat.origin ? ` (${t('originFeat')})` : ''}</li>\n`;
       }
     });
   } else {
-    html += `                            <li><em>No feats</em></li>\n`;
+    html += `                            <li><em>${t('noFeats')}</em></li>\n`;
   }
   
   html += `                        </ul>
@@ -861,72 +1532,170 @@ function generateCharacterHTML(characterData) {
             </div>
         </div>
         
-        <div class="page">
+        <div class="page">`;
+  
+  // Players see an unidentified item the way FGU shows it to them: its unidentified name and text
+  const hideItem = item => !item.identified && !options.gmView;
+  const itemName = item => (hideItem(item) ? item.unidentifiedName || t('unidentifiedItem') : item.name);
+  const itemDescriptionHtml = item => (hideItem(item) ? item.unidentifiedDescriptionHtml : item.descriptionHtml);
+  // ...and no weight or cost, which could give it away
+  const netWorth = getNetWorth(inventory.filter(item => !hideItem(item)), coins);
+  
+  const magicItems = inventory.filter(item => item.magic);
+  if (magicItems.length > 0) {
+    html += `
             <div class="section">
-                <h2>Equipment</h2>
-                <ul class="inventory-list">`;
+                <h2>${t('magicItems')}</h2>
+                <div class="spell-slot-level">
+                    <strong>${t('attunement')}:</strong>
+                    <div class="spell-slot-bubbles">\n`;
+    
+    for (let i = 0; i < Math.max(attunement.slots, attunement.attuned); i++) {
+      const overLimit = i >= attunement.slots ? ' class="over-limit"' : '';
+      html += `                        <input type="checkbox"${overLimit} ${i < attunement.attuned ? 'checked ' : ''}disabled>\n`;
+    }
+    
+    html += `                    </div>
+                    <span>${attunement.attuned}/${attunement.slots}</span>
+                </div>\n`;
+    if (attunement.attuned > attunement.slots) {
+      html += `                <div class="sheet-warning">⚠️ ${t('attunementOverLimit', { attuned: attunement.attuned, slots: attunement.slots })}</div>\n`;
+    }
+    
+    html += `                <ul class="inventory-list magic-items">\n`;
+    magicItems.forEach(item => {
+      let tags = '';
+      if (item.attuned) {
+        tags += ` <span class="item-tag">${t('attuned')}</span>`;
+      } else if (item.requiresAttunement && !hideItem(item)) {
+        tags += ` <span class="item-tag">${t('requiresAttunement')}</span>`;
+      }
+      if (!item.identified) tags += ` <span class="item-tag">${t('unidentified')}</span>`;
+      const realName = !item.identified && options.gmView && item.unidentifiedName
+        ? ` <span class="item-weight">${t('unidentifiedAs', { name: escapeHtml(item.unidentifiedName) })}</span>`
+        : '';
+      const rarity = item.rarity && !hideItem(item) ? `<span class="item-weight">${escapeHtml(item.rarity)}</span>` : '';
+      html += `                    <li><span><strong>${escapeHtml(itemName(item))}</strong>${realName}${tags}</span>${rarity}</li>\n`;
+    });
+    html += `                </ul>
+            </div>\n`;
+  }
   
-  if (inventory.length > 0) {
-    inventory.forEach(item => {
-      const countText = item.count !== '1' ? ` x${item.count}` : '';
-      
-      if (item.description) {
-        // Split description into paragraphs for tooltip
-        const paragraphs = item.description.split('\n\n').filter(Boolean);
-        const tooltipContent = paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('');
-        
-        html += `                    <li>
+  html += `
+            <div class="section">
+                <h2>${t('equipment')}</h2>
+                <div class="encumbrance encumbrance-${encumbrance.status}">
+                    ${t('carriedWeight')}: <strong>${t('weightValue', { weight: encumbrance.load })}</strong> / ${t('weightValue', { weight: encumbrance.capacity })}
+                    <span class="encumbrance-limits">${t('encumbranceLimits', { encumbered: encumbrance.encumbered, heavilyEncumbered: encumbrance.heavilyEncumbered })}</span>\n`;
+  if (encumbrance.status !== 'normal') {
+    html += `                    <div class="sheet-warning">⚠️ ${t(`encumbranceStatus.${encumbrance.status}`)}</div>\n`;
+  }
+  html += `                </div>\n`;
+  
+  // Items are grouped by the container they're stored in, loose items first
+  const inventoryGroups = [];
+  inventory.forEach(item => {
+    const location = item.location || '';
+    let group = inventoryGroups.find(entry => entry.location === location);
+    if (!group) {
+      // An unidentified bag of holding still heads its group under the name the player knows
+      const container = inventory.find(candidate => candidate.name === location);
+      group = { location, label: container ? itemName(container) : location, items: [] };
+      if (location) {
+        inventoryGroups.push(group);
+      } else {
+        inventoryGroups.unshift(group);
+      }
+    }
+    group.items.push(item);
+  });
+  
+  const renderInventoryItem = item => {
+    const countText = item.count !== 1 ? ` x${item.count}` : '';
+    let tags = '';
+    if (item.equipped) tags += ` <span class="item-tag">${t('equipped')}</span>`;
+    if (!item.carried) tags += ` <span class="item-tag">${t('notCarried')}</span>`;
+    const weight = item.weight > 0 && !hideItem(item) ? `<span class="item-weight">${t('weightValue', { weight: roundToHundredths(item.weight * item.count) })}</span>` : '';
+    const descriptionHtml = itemDescriptionHtml(item);
+    
+    if (descriptionHtml) {
+      return `                    <li${item.carried ? '' : ' class="not-carried"'}>
                         <span class="tooltip-trigger">
-                            <span>${escapeHtml(item.name)}${escapeHtml(countText)}</span>
+                            <span>${escapeHtml(itemName(item))}${escapeHtml(countText)}</span>${tags}
                             <span class="tooltip">
-                                <div class="tooltip-title">${escapeHtml(item.name)}</div>
-                                <div class="tooltip-content">${tooltipContent}</div>
+                                <div class="tooltip-title">${escapeHtml(itemName(item))}</div>
+                                <div class="tooltip-content formatted-text">${descriptionHtml}</div>
                             </span>
                         </span>
+                        ${weight}
                     </li>\n`;
-      } else {
-        html += `                    <li><span>${escapeHtml(item.name)}${escapeHtml(countText)}</span></li>\n`;
+    }
+    return `                    <li${item.carried ? '' : ' class="not-carried"'}><span><span>${escapeHtml(itemName(item))}${escapeHtml(countText)}</span>${tags}</span>${weight}</li>\n`;
+  };
+  
+  if (inventory.length > 0) {
+    inventoryGroups.forEach(group => {
+      if (inventoryGroups.length > 1) {
+        const groupWeight = roundToHundredths(group.items.reduce((total, item) => total + item.weight * item.count, 0));
+        html += `                <h3 class="inventory-group">${group.location ? escapeHtml(group.label) : t('onPerson')}${group.location ? ` <span class="item-weight">${t('weightValue', { weight: groupWeight })}</span>` : ''}</h3>\n`;
       }
+      html += `                <ul class="inventory-list">\n`;
+      group.items.forEach(item => {
+        html += renderInventoryItem(item);
+      });
+      html += `                </ul>\n`;
     });
   } else {
-    html += `                    <li><em>No equipment</em></li>\n`;
+    html += `                <ul class="inventory-list">
+                    <li><em>${t('noEquipment')}</em></li>
+                </ul>\n`;
   }
   
-  html += `                </ul>
-            </div>
+  html += `            </div>
             
             <div class="section">
-                <h2>Wealth</h2>
+                <h2>${t('wealth')}</h2>
                 <div class="coins">`;
   
   const coinOrder = ['PP', 'GP', 'EP', 'SP', 'CP'];
   coinOrder.forEach(coinType => {
-    const coinValue = coins[coinType] || '0';
+    const coinValue = coins[coinType] || 0;
     html += `                    <div class="coin-item">
-                        <strong>${coinType}</strong>
-                        <input type="text" value="${escapeHtml(coinValue)}" />
+                        <strong>${t(`coins.${coinType}`)}</strong>
+                        <input type="text" value="${coinValue}" data-state="coins.${coinType}" />
                     </div>\n`;
   });
   
   html += `                </div>
+                <div class="net-worth" title="${escapeHtml(t('netWorthHint'))}">
+                    ${t('netWorth')}: <strong>${t('gpValue', { value: netWorth.total })}</strong>
+                    <span class="net-worth-breakdown">${t('netWorthBreakdown', { items: netWorth.items, coins: netWorth.coins })}</span>
+                </div>
             </div>
         </div>
         
         <div class="page">`;
   
+  // Short/long rest buttons clear the matching trackers (see takeRest below). Every full
+  // sheet has death saves, so the buttons are always there
+  html += `
+            <div class="rest-controls">
+                <button onclick="takeRest('short')" style="background: var(--accent); color: var(--accent-text); border: none; padding: 6px 12px; border-radius: 3px; cursor: pointer; font-size: 0.85em;">${t('shortRest')}</button>
+                <button onclick="takeRest('long')" style="background: var(--accent); color: var(--accent-text); border: none; padding: 6px 12px; border-radius: 3px; cursor: pointer; font-size: 0.85em;">${t('longRest')}</button>
+            </div>\n`;
+  
   // Spell Slots
-  if (Object.keys(spellSlots).length > 0) {
+  if (character.spellSlots.length > 0) {
     html += `            <div class="section">
-                <h2>Spell Slots</h2>`;
+                <h2>${t('spellSlots')}</h2>`;
     
-    Object.keys(spellSlots).sort((a, b) => parseInt(a) - parseInt(b)).forEach(level => {
-      const slot = spellSlots[level];
-      const maxSlots = parseInt(slot.max);
-      const usedSlots = parseInt(slot.used || '0');
+    character.spellSlots.forEach(slot => {
+      const maxSlots = slot.max;
+      const usedSlots = slot.used;
       
       html += `                <div class="spell-slot-level">
-                    <strong>Level ${level}:</strong>
-                    <div class="spell-slot-bubbles">`;
+                    <strong>${t('slotLevel', { level: slot.level })}:</strong>
+                    <div class="spell-slot-bubbles" data-reset="long" data-state="spellSlots.${slot.level}">`;
       
       for (let i = 0; i < maxSlots; i++) {
         const checked = i < usedSlots ? 'checked' : '';
@@ -940,52 +1709,91 @@ function generateCharacterHTML(characterData) {
     html += `            </div>\n`;
   }
   
-  // Sorcery Points
-  if (sorceryPoints) {
-    const maxPoints = parseInt(sorceryPoints.max);
-    const usedPoints = parseInt(sorceryPoints.used);
+  // Pact Magic Slots
+  if (character.pactMagicSlots.length > 0) {
+    html += `            <div class="section">
+                <h2>${t('pactMagic')}</h2>`;
     
+    character.pactMagicSlots.forEach(slot => {
+      html += `                <div class="spell-slot-level">
+                    <strong>${t('slotLevel', { level: slot.level })}:</strong>
+                    <div class="spell-slot-bubbles" data-reset="short" data-state="pactMagicSlots.${slot.level}">`;
+      
+      for (let i = 0; i < slot.max; i++) {
+        const checked = i < slot.used ? 'checked' : '';
+        html += `                        <input type="checkbox" ${checked}>\n`;
+      }
+      
+      html += `                    </div>
+                    <span class="reset-tag">${t('periods.short')}</span>
+                </div>\n`;
+    });
+    
+    html += `            </div>\n`;
+  }
+  
+  // Limited-use resources
+  if (character.resources.length > 0) {
     html += `            <div class="section">
-                <h2>Sorcery Points</h2>
-                <div class="spell-slot-bubbles" style="padding: 10px;">`;
+                <h2>${t('resources')}</h2>`;
     
-    for (let i = 0; i < maxPoints; i++) {
-      const checked = i < usedPoints ? 'checked' : '';
-      html += `                    <input type="checkbox" ${checked}>\n`;
-    }
+    character.resources.forEach(resource => {
+      html += `                <div class="resource-tracker">
+                    <div class="resource-name">
+                        <strong>${escapeHtml(resource.name)}</strong>
+                        <span class="reset-tag">${t(`periods.${resource.period}`)}</span>
+                    </div>
+                    <div class="spell-slot-bubbles" data-reset="${resource.period}" data-state="resources.${escapeHtml(resource.name)}">`;
+      
+      for (let i = 0; i < resource.max; i++) {
+        const checked = i < resource.used ? 'checked' : '';
+        html += `                        <input type="checkbox" ${checked}>\n`;
+      }
+      
+      html += `                    </div>
+                </div>\n`;
+    });
     
-    html += `                </div>
-            </div>\n`;
+    html += `            </div>\n`;
   }
   
   // Spells
   if (spells.length > 0) {
     html += `            <div class="section" style="margin-bottom: 15px;">
-                <h2>Spellcasting</h2>
-                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px; text-align: center; padding: 10px;">
-                    <div>
-                        <strong>Spell Save DC:</strong>
-                        <div style="font-size: 1.5em; font-weight: bold; color: #8b6914;">${escapeHtml(spellSaveDC.toString())}</div>
-                    </div>
-                    <div>
-                        <strong>Spell Attack Bonus:</strong>
-                        <div style="font-size: 1.5em; font-weight: bold; color: #8b6914;">${formatModifier(spellAttackBonus)}</div>
+                <h2>${t('spellcasting')}</h2>\n`;
+    
+    // One block per casting source so multiclass characters get a DC per class
+    character.spellcasting.forEach(source => {
+      const abilityText = source.ability ? ` (${t(`abilityCodes.${source.ability}`, {}, source.ability.substring(0, 3).toUpperCase())})` : '';
+      html += `                <div class="spellcasting-source">
+                    <h3>${escapeHtml(source.className || source.name || t('spells'))}${abilityText}</h3>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px; text-align: center; padding: 10px;">
+                        <div>
+                            <strong>${t('spellSaveDc')}:</strong>
+                            <div style="font-size: 1.5em; font-weight: bold; color: var(--accent);">${source.saveDC !== null ? source.saveDC : '—'}</div>
+                        </div>
+                        <div>
+                            <strong>${t('spellAttackBonus')}:</strong>
+                            <div style="font-size: 1.5em; font-weight: bold; color: var(--accent);">${source.attackBonus !== null ? formatModifier(source.attackBonus) : '—'}</div>
+                        </div>
                     </div>
-                </div>
-            </div>
+                </div>\n`;
+    });
+    
+    html += `            </div>
             
             <div class="section">
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
-                    <h2 style="margin: 0;">Spells</h2>
+                    <h2 style="margin: 0;">${t('spells')}</h2>
                     <div style="display: flex; gap: 8px;">
-                        <button onclick="expandAllSpells()" style="background: #8b6914; color: white; border: none; padding: 6px 12px; border-radius: 3px; cursor: pointer; font-size: 0.85em;">Expand All</button>
-                        <button onclick="collapseAllSpells()" style="background: #8b6914; color: white; border: none; padding: 6px 12px; border-radius: 3px; cursor: pointer; font-size: 0.85em;">Collapse All</button>
+                        <button onclick="expandAllSpells()" style="background: var(--accent); color: var(--accent-text); border: none; padding: 6px 12px; border-radius: 3px; cursor: pointer; font-size: 0.85em;">${t('expandAll')}</button>
+                        <button onclick="collapseAllSpells()" style="background: var(--accent); color: var(--accent-text); border: none; padding: 6px 12px; border-radius: 3px; cursor: pointer; font-size: 0.85em;">${t('collapseAll')}</button>
                     </div>
                 </div>`;
     
     const spellsByLevel = {};
     spells.forEach(spell => {
-      const level = spell.level && spell.level !== '0' ? spell.level : 'Cantrip';
+      const level = spell.level ? String(spell.level) : 'Cantrip';
       if (!spellsByLevel[level]) spellsByLevel[level] = [];
       spellsByLevel[level].push(spell);
     });
@@ -998,29 +1806,56 @@ function generateCharacterHTML(characterData) {
     
     levelOrder.forEach(level => {
       const levelSpells = spellsByLevel[level];
+      const levelTitle = level === 'Cantrip'
+        ? t('cantrips', { count: levelSpells.length })
+        : t('spellLevel', { level, count: levelSpells.length });
       html += `                <div class="spell-level-toggle" onclick="toggleSpell(this)">
-                    <h3>Level ${escapeHtml(level)} (${levelSpells.length} spells)</h3>
+                    <h3>${escapeHtml(levelTitle)}</h3>
                     <span>▼</span>
                 </div>
                 <div class="spell-level-content">`;
       
       levelSpells.forEach(spell => {
-        const preparedMark = spell.prepared && spell.prepared !== '0' ? '●' : '○';
-        html += `                    <div style="background: #f5f1e8; padding: 8px; border-radius: 3px; border-left: 3px solid #8b6914; margin-bottom: 8px;">
-                        <div><strong>${preparedMark} ${escapeHtml(spell.name)}</strong></div>`;
+        const preparedBox = `<input type="checkbox" class="spell-prepared" title="${t('prepared')}" data-state="preparedSpells.${escapeHtml(spell.name)}" ${spell.prepared ? 'checked' : ''}>`;
+        const source = character.spellcasting.find(src => src.name === spell.source);
+        const sourceTag = character.spellcasting.length > 1 && source
+          ? ` <span class="spell-source">${escapeHtml(source.className || source.name)}</span>`
+          : '';
+        html += `                    <div style="background: var(--panel-bg); padding: 8px; border-radius: 3px; border-left: 3px solid var(--accent); margin-bottom: 8px;">
+                        <div>${preparedBox} <strong>${escapeHtml(spell.name)}</strong>${sourceTag}</div>`;
         
         if (spell.school) {
-          html += `                        <div style="font-size: 0.85em;"><strong>School:</strong> ${escapeHtml(spell.school)}</div>\n`;
+          html += `                        <div style="font-size: 0.85em;"><strong>${t('school')}:</strong> ${escapeHtml(spell.school)}</div>\n`;
+        }
+        
+        // Compact stat line: casting time, range, components, duration, flags and rolls
+        const statParts = [spell.castingTime, spell.range, spell.components.replace(/\s*\(.*\)\s*$/, ''), spell.duration]
+          .filter(Boolean)
+          .map(part => escapeHtml(part));
+        if (spell.concentration) statParts.push(`<span class="spell-tag" title="${t('concentration')}">${t('concentrationCode')}</span>`);
+        if (spell.ritual) statParts.push(`<span class="spell-tag" title="${t('ritual')}">${t('ritualCode')}</span>`);
+        if (spell.attack) {
+          const attackText = escapeHtml(t('spellAttack', { type: t(`attackTypes.${spell.attack}`, {}, spell.attack) }));
+          statParts.push(source && source.attackBonus !== null
+            ? sheetRollable(`${attackText} ${formatModifier(source.attackBonus)}`, t('attackRoll', { name: spell.name }), { bonus: source.attackBonus })
+            : attackText);
+        }
+        if (spell.save) {
+          const saveCode = t(`abilityCodes.${spell.save.toLowerCase()}`, {}, spell.save.substring(0, 3).toUpperCase());
+          statParts.push(escapeHtml(t('spellSave', { ability: saveCode })));
+        }
+        if (spell.damage.length > 0) {
+          statParts.push(sheetRollable(escapeHtml(spell.damage.map(formatDamage).join(' + ')), t('damageRoll', { name: spell.name }), { dice: toDiceExpression(spell.damage) }));
+        }
+        if (spell.heal.length > 0) {
+          statParts.push(t('heals', { amount: sheetRollable(escapeHtml(spell.heal.map(formatDamage).join(' + ')), t('healingRoll', { name: spell.name }), { dice: toDiceExpression(spell.heal) }) }));
+        }
+        if (statParts.length > 0) {
+          html += `                        <div class="spell-stats"${spell.components ? ` title="${escapeHtml(spell.components)}"` : ''}>${statParts.join(' · ')}</div>\n`;
         }
         
         if (spell.description) {
-          // Split description into paragraphs and escape each
-          const paragraphs = spell.description.split('\n\n').filter(Boolean);
-          html += `                        <div class="spell-description" style="margin-top: 5px; font-size: 0.9em; white-space: pre-wrap;">`;
-          paragraphs.forEach(para => {
-            html += `<p style="margin: 5px 0;">${escapeHtml(para)}</p>`;
-          });
-          html += `</div>\n`;
+          html += `                        <div class="spell-description formatted-text" style="margin-top: 5px; font-size: 0.9em;">${spell.descriptionHtml}</div>\n`;
         }
         
         html += `                    </div>\n`;
@@ -1035,8 +1870,20 @@ function generateCharacterHTML(characterData) {
   html += `        </div>
     </div>
     
-    <script>
-        function toggleSpell(element) {
+    <div class="roll-panel" id="rollPanel">
+        <div class="roll-panel-header">
+            <strong>${t('rolls')}</strong>
+            <button onclick="clearRollLog()" style="background: none; border: none; color: var(--accent-text); cursor: pointer; font-size: 0.85em;">${t('clear')}</button>
+        </div>
+        <div class="roll-mode">
+            <label><input type="radio" name="rollMode" value="normal" checked> ${t('rollNormal')}</label>
+            <label><input type="radio" name="rollMode" value="advantage"> ${t('rollAdvantage')}</label>
+            <label><input type="radio" name="rollMode" value="disadvantage"> ${t('rollDisadvantage')}</label>
+        </div>
+        <ul class="roll-log" id="rollLog"><li class="roll-empty">${t('rollHint')}</li></ul>
+    </div>\n`;
+  
+  const script = `        function toggleSpell(element) {
             const content = element.nextElementSibling;
             content.classList.toggle('active');
         }
@@ -1052,77 +1899,1588 @@ function generateCharacterHTML(characterData) {
                 el.classList.remove('active');
             });
         }
-    </script>
-</body>
-</html>`;
-  
-  return html;
-}
-
-// Routes
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-app.get('/preview', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'preview.html'));
-});
-
-app.post('/generate', upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-    
-    const xmlContent = req.file.buffer.toString('utf-8');
-    
-    // Parse XML
-    const parser = new xml2js.Parser({ explicitArray: true });
-    const result = await parser.parseStringPromise(xmlContent);
-    
-    // Extract character name for filename
-    let filename = 'character_sheet.html';
-    let charName = '';
-    try {
-      charName = safeGet(result, 'root.character.0.name.0') || '';
-      if (charName) {
-        const cleanName = String(charName).replace(/[^a-zA-Z0-9 _-]/g, '').trim();
-        if (cleanName) {
-          filename = `${cleanName}.html`;
+        
+        // A short rest only clears short rest trackers, a long rest clears everything that recharges
+        function takeRest(type) {
+            const periods = type === 'long' ? ['short', 'long', 'daily'] : ['short'];
+            document.querySelectorAll('[data-reset]').forEach(el => {
+                if (periods.includes(el.dataset.reset)) {
+                    el.querySelectorAll('input[type="checkbox"]').forEach(box => {
+                        box.checked = false;
+                    });
+                }
+            });
+            if (type === 'long') recoverHitDice();
+            saveSheetState();
         }
-      }
-    } catch (err) {
-      // Use default filename
-    }
-    
-    // Generate HTML
-    let html;
-    try {
-      html = generateCharacterHTML(result.root || result);
-      console.log('HTML generated, length:', html.length);
-    } catch (htmlError) {
-      console.error('Error generating HTML:', htmlError);
-      throw new Error('Failed to generate HTML: ' + htmlError.message);
-    }
-    
-    // Return HTML directly
-    res.json({
-      success: true,
-      html: html,
-      filename: filename,
-      name: charName || 'Character Sheet'
-    });
-    
-  } catch (error) {
-    console.error('Error processing file:', error);
-    res.status(500).json({ error: error.message || 'Error processing file' });
-  }
-});
+        
+        // 2014 rules: a long rest gives back half the character's hit dice (at least one), largest dice first
+        function recoverHitDice() {
+            const pools = Array.from(document.querySelectorAll('[data-reset="long-half"]'))
+                .sort((a, b) => Number(b.dataset.die) - Number(a.dataset.die));
+            const total = pools.reduce((count, pool) => count + pool.querySelectorAll('input[type="checkbox"]').length, 0);
+            let recovered = Math.max(1, Math.floor(total / 2));
+            pools.forEach(pool => {
+                pool.querySelectorAll('input[type="checkbox"]:checked').forEach(box => {
+                    if (recovered > 0) {
+                        box.checked = false;
+                        recovered--;
+                    }
+                });
+            });
+        }
+        
+        // Sheet state (HP, coins, slots, resources) survives reloads in localStorage,
+        // keyed by character name and a hash of the exported XML
+        const SHEET_STATE_KEY = ${toScriptJson(stateKey)};
+        const SHEET_TEXT = ${toScriptJson({ resetConfirm: t('resetConfirm'), advantage: t('advantageCode'), disadvantage: t('disadvantageCode') })};
+        
+        function readSheetState() {
+            const state = {};
+            document.querySelectorAll('[data-state]').forEach(el => {
+                if (el.type === 'checkbox') {
+                    state[el.dataset.state] = el.checked;
+                } else if (el.tagName === 'INPUT') {
+                    state[el.dataset.state] = el.value;
+                } else {
+                    state[el.dataset.state] = Array.from(el.querySelectorAll('input[type="checkbox"]')).map(box => box.checked);
+                }
+            });
+            return state;
+        }
+        
+        function applySheetState(state) {
+            document.querySelectorAll('[data-state]').forEach(el => {
+                const value = state[el.dataset.state];
+                if (value === undefined) return;
+                if (el.type === 'checkbox') {
+                    el.checked = Boolean(value);
+                } else if (el.tagName === 'INPUT') {
+                    el.value = value;
+                } else {
+                    el.querySelectorAll('input[type="checkbox"]').forEach((box, i) => {
+                        box.checked = Boolean(value[i]);
+                    });
+                }
+            });
+        }
+        
+        function saveSheetState() {
+            try {
+                localStorage.setItem(SHEET_STATE_KEY, JSON.stringify(readSheetState()));
+            } catch (err) {
+                // Storage unavailable (private mode, quota), the sheet still works without it
+            }
+        }
+        
+        function resetSheetState() {
+            if (!confirm(SHEET_TEXT.resetConfirm)) return;
+            try {
+                localStorage.removeItem(SHEET_STATE_KEY);
+            } catch (err) {
+                // Nothing saved
+            }
+            applySheetState(exportedSheetState);
+        }
+        
+        // Patch for POST /export-fgu: used counts instead of checkbox lists
+        function buildFguPatch() {
+            const state = readSheetState();
+            const patch = {
+                patchVersion: ${SHEET_PATCH_VERSION},
+                character: ${toScriptJson(name)},
+                hp: {},
+                deathSaves: {},
+                hitDice: {},
+                coins: {},
+                spellSlots: {},
+                pactMagicSlots: {},
+                resources: {},
+                preparedSpells: {}
+            };
+            Object.keys(state).forEach(key => {
+                const dot = key.indexOf('.');
+                const group = key.substring(0, dot);
+                const field = key.substring(dot + 1);
+                const value = state[key];
+                if (!patch[group]) return;
+                if (Array.isArray(value)) {
+                    patch[group][field] = value.filter(Boolean).length;
+                } else if (typeof value === 'boolean') {
+                    patch[group][field] = value;
+                } else {
+                    patch[group][field] = parseInt(value) || 0;
+                }
+            });
+            return patch;
+        }
+        
+        function exportToFgu() {
+            const blob = new Blob([JSON.stringify(buildFguPatch(), null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = ${toScriptJson(`${String(name || 'character').replace(/[^a-zA-Z0-9 _-]/g, '').trim() || 'character'}.fgu-patch.json`)};
+            document.body.appendChild(a);
+            a.click();
+            URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+        }
+        
+        // Dice roller, runs offline: d20 checks honour the advantage/disadvantage toggle
+        function randomDie(sides) {
+            const buffer = new Uint32Array(1);
+            window.crypto.getRandomValues(buffer);
+            return (buffer[0] % sides) + 1;
+        }
+        
+        function rollDiceExpression(expression) {
+            let total = 0;
+            const parts = [];
+            (expression.replace(/ /g, '').match(/[+-]?[^+-]+/g) || []).forEach(term => {
+                const sign = term.charAt(0) === '-' ? -1 : 1;
+                const body = term.replace(/^[+-]/, '');
+                const diceMatch = body.match(/^([0-9]*)d([0-9]+)$/i);
+                if (diceMatch) {
+                    const rolls = [];
+                    for (let i = 0; i < (parseInt(diceMatch[1]) || 1); i++) {
+                        rolls.push(randomDie(parseInt(diceMatch[2])));
+                    }
+                    total += sign * rolls.reduce((sum, value) => sum + value, 0);
+                    parts.push((sign < 0 ? '- ' : parts.length ? '+ ' : '') + body + ' [' + rolls.join(', ') + ']');
+                } else {
+                    total += sign * (parseInt(body) || 0);
+                    parts.push((sign < 0 ? '- ' : '+ ') + body);
+                }
+            });
+            return { total: total, detail: parts.join(' ') };
+        }
+        
+        function rollD20(bonus) {
+            const mode = document.querySelector('input[name="rollMode"]:checked').value;
+            const first = randomDie(20);
+            let natural = first;
+            let detail = 'd20 [' + first + ']';
+            if (mode !== 'normal') {
+                const second = randomDie(20);
+                natural = mode === 'advantage' ? Math.max(first, second) : Math.min(first, second);
+                detail = 'd20 [' + first + ', ' + second + '] ' + (mode === 'advantage' ? SHEET_TEXT.advantage : SHEET_TEXT.disadvantage);
+            }
+            detail += (bonus < 0 ? ' - ' : ' + ') + Math.abs(bonus);
+            return { total: natural + bonus, detail: detail, natural: natural };
+        }
+        
+        function logRoll(label, result) {
+            const rollLog = document.getElementById('rollLog');
+            const empty = rollLog.querySelector('.roll-empty');
+            if (empty) empty.remove();
+            
+            const entry = document.createElement('li');
+            if (result.natural === 20) entry.className = 'roll-crit';
+            if (result.natural === 1) entry.className = 'roll-fumble';
+            const title = document.createElement('div');
+            title.className = 'roll-title';
+            title.textContent = label;
+            const total = document.createElement('strong');
+            total.textContent = result.total;
+            title.appendChild(total);
+            const detail = document.createElement('div');
+            detail.className = 'roll-detail';
+            detail.textContent = result.detail;
+            entry.appendChild(title);
+            entry.appendChild(detail);
+            rollLog.insertBefore(entry, rollLog.firstChild);
+            
+            while (rollLog.children.length > 20) {
+                rollLog.removeChild(rollLog.lastChild);
+            }
+        }
+        
+        function clearRollLog() {
+            document.getElementById('rollLog').innerHTML = '';
+        }
+        
+        document.addEventListener('click', event => {
+            const target = event.target.closest('.rollable');
+            if (!target) return;
+            const label = target.dataset.rollLabel;
+            if (target.dataset.rollDice !== undefined) {
+                logRoll(label, rollDiceExpression(target.dataset.rollDice));
+            } else {
+                logRoll(label, rollD20(parseInt(target.dataset.rollBonus) || 0));
+            }
+        });
+        
+        const exportedSheetState = readSheetState();
+        try {
+            const savedState = localStorage.getItem(SHEET_STATE_KEY);
+            if (savedState) {
+                applySheetState(JSON.parse(savedState));
+            }
+        } catch (err) {
+            // Ignore unreadable saved state
+        }
+        
+        ['input', 'change'].forEach(eventName => {
+            document.addEventListener(eventName, event => {
+                if (event.target.closest('[data-state]')) {
+                    saveSheetState();
+                }
+            });
+        });`;
+  
+  return renderSheetPage(character, options, html, script);
+}
+
+function renderSheetPage(character, options, sheet, script) {
+  const locale = options.locale || DEFAULT_LOCALE;
+  const t = getTranslator(locale, 'sheet');
+  const themeName = options.theme || DEFAULT_THEME;
+  return renderTemplate(options.template || SHEET_TEMPLATE, {
+    title: t('title', { name: escapeHtml(character.name) || t('unknown') }),
+    lang: locale,
+    theme: themeName,
+    styles: getThemeCss(themeName) + (options.customCss ? `\n/* Custom CSS */\n${options.customCss.replace(/<\/style/gi, '<\\/style')}` : ''),
+    sheet,
+    script
+  });
+}
+
+// Race, class, background and alignment lines shared by the full sheet and the summary
+function renderHeaderInfo(character, t) {
+  const { race, subrace, alignment, background } = character;
+  const rules = RULESET_ADAPTERS[(character.ruleset || {}).id] || RULESET_5E;
+  let html = '';
+  
+  if (race) {
+    let raceDisplay = race;
+    if (subrace) raceDisplay += ` (${subrace})`;
+    html += `                <div><strong>${t(rules.originLabel)}:</strong> ${escapeHtml(raceDisplay)}</div>\n`;
+  }
+  
+  if (character.classes.length > 0) {
+    const classesStr = character.classes.map(c => `${c.name} ${c.level}`).join(', ');
+    html += `                <div><strong>${t('classLevel')}:</strong> ${escapeHtml(classesStr)}</div>\n`;
+  }
+  
+  if (background) {
+    html += `                <div><strong>${t('background')}:</strong> ${escapeHtml(background)}</div>\n`;
+  }
+  
+  if (alignment) {
+    html += `                <div><strong>${t('alignment')}:</strong> ${escapeHtml(alignment)}</div>\n`;
+  }
+  
+  return html;
+}
+
+// Condensed one-page sheet for playing from paper: no tooltips, no script
+function renderSummarySheet(character, t) {
+  const slotBoxes = count => '☐'.repeat(count);
+  
+  let html = `    <div class="character-sheet summary-sheet">
+        <div class="header">
+            <h1>${escapeHtml(character.name) || t('characterName')}</h1>
+            <div class="header-info">
+${renderHeaderInfo(character, t)}            </div>
+        </div>
+        
+        <div class="summary-stats">
+            <div><span>${t('armorClass')}</span><strong>${character.ac}</strong></div>
+            <div><span>${t('hitPoints')}</span><strong>${character.hp.total}</strong></div>
+            <div><span>${t('initiative')}</span><strong>${formatModifier(character.initiative)}</strong></div>
+            <div><span>${t('speed')}</span><strong>${t('speedValue', { speed: character.speed })}</strong></div>
+            <div><span>${t('summaryProficiency')}</span><strong>${formatModifier(character.proficiencyBonus)}</strong></div>\n`;
+  
+  character.spellcasting.forEach(source => {
+    if (source.saveDC === null) return;
+    const label = character.spellcasting.length > 1 ? t('summaryClassDc', { name: source.className || source.name }) : t('summarySpellDc');
+    html += `            <div><span>${escapeHtml(label)}</span><strong>${source.saveDC}</strong></div>\n`;
+  });
+  
+  html += `        </div>
+        
+        <div class="summary-columns">
+            <div>
+                <h2>${t('summaryAbilities')}</h2>
+                <table class="summary-table">
+                    <tr><th>${t('summaryAbility')}</th><th>${t('summaryScore')}</th><th>${t('summaryModifier')}</th><th>${t('summarySave')}</th></tr>\n`;
+  
+  ABILITY_NAMES.forEach(abilName => {
+    const abilData = character.abilities[abilName] || {};
+    html += `                    <tr><td>${t(`abilityCodes.${abilName}`)}</td><td>${abilData.score || 10}</td><td>${formatModifier(abilData.bonus || 0)}</td><td>${abilData.saveProficient ? '●' : '○'} ${formatModifier(abilData.save || 0)}</td></tr>\n`;
+  });
+  
+  html += `                </table>\n`;
+  
+  if (character.skills.length > 0) {
+    html += `                <h2>${t('skills')}</h2>
+                <div class="summary-skills">\n`;
+    character.skills.forEach(skill => {
+      html += `                    <div><span>${SKILL_PROFICIENCY_MARKERS[skill.proficiency]} ${escapeHtml(skill.name)}</span><strong>${formatModifier(skill.total)}</strong></div>\n`;
+    });
+    html += `                </div>\n`;
+  }
+  
+  html += `            </div>
+            <div>\n`;
+  
+  if (character.weapons.length > 0) {
+    html += `                <h2>${t('attacks')}</h2>
+                <table class="summary-table">
+                    <tr><th>${t('name')}</th><th>${t('attack')}</th><th>${t('damage')}</th></tr>\n`;
+    character.weapons.forEach(weapon => {
+      html += `                    <tr><td>${escapeHtml(weapon.name)}</td><td>${formatModifier(weapon.attackBonus)}</td><td>${escapeHtml(weapon.damage.map(formatDamage).join(' + '))}</td></tr>\n`;
+    });
+    html += `                </table>\n`;
+  }
+  
+  html += `                <h2>${t('hitDice')}</h2>
+                <table class="summary-table">\n`;
+  character.classes.filter(cls => cls.hitDie && cls.level > 0).forEach(cls => {
+    html += `                    <tr><td>${t('hitDiceClass', { name: escapeHtml(cls.name), die: cls.hitDie })}</td><td class="summary-boxes">${slotBoxes(cls.level)}</td></tr>\n`;
+  });
+  html += `                    <tr><td>${t('deathSaveSuccesses')}</td><td class="summary-boxes">${slotBoxes(3)}</td></tr>
+                    <tr><td>${t('deathSaveFailures')}</td><td class="summary-boxes">${slotBoxes(3)}</td></tr>
+                </table>\n`;
+  
+  const slotRows = character.spellSlots.map(slot => ({ label: t('slotLevel', { level: slot.level }), max: slot.max }))
+    .concat(character.pactMagicSlots.map(slot => ({ label: t('pactSlotLevel', { level: slot.level }), max: slot.max })));
+  if (slotRows.length > 0) {
+    html += `                <h2>${t('spellSlots')}</h2>
+                <table class="summary-table">\n`;
+    slotRows.forEach(row => {
+      html += `                    <tr><td>${row.label}</td><td class="summary-boxes">${slotBoxes(row.max)}</td></tr>\n`;
+    });
+    html += `                </table>\n`;
+  }
+  
+  if (character.resources.length > 0) {
+    html += `                <h2>${t('resources')}</h2>
+                <table class="summary-table">\n`;
+    character.resources.forEach(resource => {
+      html += `                    <tr><td>${escapeHtml(resource.name)} (${t(`periods.${resource.period}`)})</td><td class="summary-boxes">${slotBoxes(resource.max)}</td></tr>\n`;
+    });
+    html += `                </table>\n`;
+  }
+  
+  html += `            </div>
+        </div>
+    </div>\n`;
+  
+  return html;
+}
+
+// Party dashboard: one row per PC with what a GM looks up mid-session, and every full
+// sheet embedded below it. Sheets sit in srcdoc iframes so their scripts, styles and saved
+// state stay apart; CSS :target shows the one whose name was clicked, no script needed.
+function renderPartyHTML(members, options = {}) {
+  const locale = options.locale || DEFAULT_LOCALE;
+  const t = getTranslator(locale, 'sheet');
+  const themeName = options.theme || DEFAULT_THEME;
+  const listText = (items, separator = ', ') => (items.length > 0 ? escapeHtml(items.join(separator)) : '—');
+  
+  let html = `    <div class="character-sheet party" id="party">
+        <div class="header">
+            <h1>${t('partyTitle')}</h1>
+        </div>
+        <div class="party-table-wrapper">
+            <table class="party-table">
+                <thead>
+                    <tr><th>${t('name')}</th><th>${t('armorClassCode')}</th><th>${t('hitPoints')}</th><th>${t('passivePerception')}</th><th>${t('passiveInsight')}</th><th>${t('passiveInvestigation')}</th><th>${t('summarySpellDc')}</th><th>${t('speed')}</th><th>${t('languages')}</th><th>${t('keyResistances')}</th></tr>
+                </thead>
+                <tbody>\n`;
+  
+  members.forEach((member, index) => {
+    const { character } = member;
+    const classesStr = character.classes.map(c => `${c.name} ${c.level}`).join(', ');
+    const currentHp = character.hp.total - character.hp.wounds;
+    const tempHp = character.hp.temporary > 0 ? ` (+${character.hp.temporary})` : '';
+    const spellDcs = [...new Set(character.spellcasting.filter(source => source.saveDC !== null).map(source => source.saveDC))];
+    const defenses = character.defenses.resistances.concat(character.defenses.immunities.map(entry => t('immuneTo', { name: entry })));
+    html += `                    <tr>
+                        <td><a href="#sheet-${index + 1}">${escapeHtml(character.name) || t('unknown')}</a><div class="party-sub">${escapeHtml(classesStr)}</div></td>
+                        <td>${character.ac}</td>
+                        <td>${currentHp}/${character.hp.total}${tempHp}</td>
+                        <td>${character.passives.perception}</td>
+                        <td>${character.passives.insight}</td>
+                        <td>${character.passives.investigation}</td>
+                        <td>${spellDcs.length > 0 ? spellDcs.join(' / ') : '—'}</td>
+                        <td>${t('speedValue', { speed: character.speed })}</td>
+                        <td>${listText(character.languages)}</td>
+                        <td>${listText(defenses, '; ')}</td>
+                    </tr>\n`;
+  });
+  
+  html += `                </tbody>
+            </table>
+        </div>
+    </div>\n`;
+  
+  members.forEach((member, index) => {
+    html += `    <section class="party-sheet" id="sheet-${index + 1}">
+        <div class="party-sheet-bar"><strong>${escapeHtml(member.character.name) || t('unknown')}</strong> <a href="#party">${t('partyBack')}</a></div>
+        <iframe title="${escapeHtml(member.character.name)}" srcdoc="${escapeHtml(member.html)}"></iframe>
+    </section>\n`;
+  });
+  
+  return renderTemplate(SHEET_TEMPLATE, {
+    title: t('partyTitle'),
+    lang: locale,
+    theme: themeName,
+    styles: getThemeCss(themeName),
+    sheet: html,
+    script: ''
+  });
+}
+
+// Compare report for two exports of one character: what a GM checks after an offline level up
+function renderDiffHTML(diff, options = {}) {
+  const locale = options.locale || DEFAULT_LOCALE;
+  const t = getTranslator(locale, 'sheet');
+  const themeName = options.theme || DEFAULT_THEME;
+  const arrow = (before, after) => `${escapeHtml(before === null ? '—' : before)} → <strong>${escapeHtml(after === null ? '—' : after)}</strong>`;
+  const rows = [];
+  
+  if (diff.renamed) rows.push([t('name'), arrow(diff.renamed.before, diff.renamed.after)]);
+  if (diff.level) rows.push([t('diffLevel'), arrow(diff.level.before, diff.level.after)]);
+  diff.classes.forEach(cls => rows.push([escapeHtml(cls.name), arrow(cls.before || '—', cls.after || '—')]));
+  if (diff.proficiencyBonus) rows.push([t('proficiencyBonus'), arrow(formatModifier(diff.proficiencyBonus.before), formatModifier(diff.proficiencyBonus.after))]);
+  if (diff.hp) rows.push([t('diffMaxHp'), arrow(diff.hp.before, diff.hp.after)]);
+  diff.abilities.forEach(entry => rows.push([t(`abilities.${entry.ability}`, {}, entry.ability), arrow(entry.before, entry.after)]));
+  diff.skills.forEach(skill => rows.push([escapeHtml(skill.name), arrow(t(`skillProficiency.${skill.before}`), t(`skillProficiency.${skill.after}`))]));
+  diff.inventory.changed.forEach(item => rows.push([escapeHtml(item.name), arrow(item.before, item.after)]));
+  
+  const listSection = (title, lists) => {
+    if (lists.added.length === 0 && lists.removed.length === 0) return '';
+    let html = `            <div class="section">
+                <h2>${title}</h2>
+                <ul class="diff-list">\n`;
+    lists.added.forEach(entry => {
+      html += `                    <li class="diff-added">+ ${escapeHtml(entry)}</li>\n`;
+    });
+    lists.removed.forEach(entry => {
+      html += `                    <li class="diff-removed">− ${escapeHtml(entry)}</li>\n`;
+    });
+    return html + `                </ul>
+            </div>\n`;
+  };
+  
+  let html = `    <div class="character-sheet diff-report">
+        <div class="header">
+            <h1>${escapeHtml(diff.name) || t('unknown')}</h1>
+            <div style="text-align: center; color: var(--muted);">${t('diffTitle')}</div>
+        </div>
+        <div class="diff-sections">\n`;
+  
+  if (rows.length > 0) {
+    html += `            <div class="section">
+                <h2>${t('diffChanges')}</h2>
+                <table class="summary-table">\n`;
+    rows.forEach(([label, value]) => {
+      html += `                    <tr><td>${label}</td><td>${value}</td></tr>\n`;
+    });
+    html += `                </table>
+            </div>\n`;
+  }
+  
+  const listSections = listSection(t('features'), diff.features) +
+    listSection(t('feats'), diff.feats) +
+    listSection(t('spells'), diff.spells) +
+    listSection(t('equipment'), diff.inventory);
+  html += listSections;
+  
+  if (rows.length === 0 && !listSections) {
+    html += `            <p><em>${t('diffNoChanges')}</em></p>\n`;
+  }
+  
+  html += `        </div>
+    </div>\n`;
+  
+  return renderTemplate(SHEET_TEMPLATE, {
+    title: t('diffPageTitle', { name: escapeHtml(diff.name) || t('unknown') }),
+    lang: locale,
+    theme: themeName,
+    styles: getThemeCss(themeName),
+    sheet: html,
+    script: ''
+  });
+}
+
+// Write-back to FGU XML
+// The patch is applied to the original XML text so that everything the patch
+// doesn't touch (formatting, comments, unknown nodes) stays byte for byte the same.
+
+const XML_TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<(\/?)([^\s/>!?]+)[^>]*?(\/?)>/g;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Find the first direct child element called tagName between from and to
+function findXmlChild(xml, tagName, from, to) {
+  const pattern = new RegExp(XML_TOKEN_PATTERN.source, 'g');
+  pattern.lastIndex = from;
+  let depth = 0;
+  let found = null;
+  let match;
+  while ((match = pattern.exec(xml)) && match.index < to) {
+    const [tag, closing, name, selfClosing] = match;
+    if (!name) continue;
+    const tagEnd = match.index + tag.length;
+    if (closing) {
+      depth--;
+      if (found && depth === 0) {
+        return { ...found, closeStart: match.index, closeEnd: tagEnd };
+      }
+      if (depth < 0) return null;
+    } else if (selfClosing) {
+      if (!found && depth === 0 && name === tagName) {
+        return { name, openStart: match.index, openEnd: tagEnd, closeStart: tagEnd, closeEnd: tagEnd, selfClosing: true };
+      }
+    } else {
+      if (!found && depth === 0 && name === tagName) {
+        found = { name, openStart: match.index, openEnd: tagEnd, selfClosing: false };
+      }
+      depth++;
+    }
+  }
+  return null;
+}
+
+function findXmlPath(xml, pathParts) {
+  let element = { openEnd: 0, closeStart: xml.length };
+  for (const part of pathParts) {
+    element = findXmlChild(xml, part, element.openEnd, element.closeStart);
+    if (!element || (element.selfClosing && part !== pathParts[pathParts.length - 1])) {
+      return null;
+    }
+  }
+  return element;
+}
+
+// Replace the text of the element at pathParts, adding it to its parent when missing.
+// FGU reads a missing number as 0, so zeros are not added.
+function setXmlValue(xml, pathParts, value, type = 'number') {
+  const text = escapeXml(value);
+  const element = findXmlPath(xml, pathParts);
+  const tagName = pathParts[pathParts.length - 1];
+  
+  if (element && element.selfClosing) {
+    const openTag = xml.slice(element.openStart, element.openEnd).replace(/\s*\/>$/, '>');
+    return xml.slice(0, element.openStart) + `${openTag}${text}</${tagName}>` + xml.slice(element.closeEnd);
+  }
+  if (element) {
+    return xml.slice(0, element.openEnd) + text + xml.slice(element.closeStart);
+  }
+  if (type === 'number' && toNumber(value) === 0) {
+    return xml;
+  }
+  return insertXmlElement(xml, pathParts.slice(0, -1), `<${tagName} type="${type}">${text}</${tagName}>`);
+}
+
+// Append elementText as the last child of the element at parentPath
+function insertXmlElement(xml, parentPath, elementText) {
+  const parent = findXmlPath(xml, parentPath);
+  if (!parent || parent.selfClosing) {
+    return xml;
+  }
+  // Follow the parent's indentation when it spans several lines
+  const indentMatch = xml.slice(parent.openEnd, parent.closeStart).match(/\n([ \t]*)$/);
+  const insert = indentMatch ? `\t${elementText}\n${indentMatch[1]}` : elementText;
+  return xml.slice(0, parent.closeStart) + insert + xml.slice(parent.closeStart);
+}
+
+// id-XXXXX keys of an FGU list whose <name> matches
+function findListIds(listData, name) {
+  return Object.keys(listData || {}).filter(key => key.startsWith('id-') && safeGet(listData[key][0], 'name.0') === name);
+}
+
+function nextListId(listData) {
+  const highest = Object.keys(listData || {})
+    .filter(key => key.startsWith('id-'))
+    .reduce((max, key) => Math.max(max, parseInt(key.substring(3)) || 0), 0);
+  return `id-${String(highest + 1).padStart(5, '0')}`;
+}
+
+/**
+ * Apply a sheet state patch (built by the "Export to FGU" button) to the
+ * original FGU XML text and return the updated text.
+ *
+ * Patch shape: { hp: { wounds, temporary }, deathSaves: { successes, failures },
+ * hitDice: { Wizard: used }, coins: { GP: 12 }, spellSlots: { 1: used }, pactMagicSlots: { 1: used },
+ * resources: { 'Sorcery Points': used }, preparedSpells: { Fireball: true } }
+ */
+function applySheetPatch(xmlContent, xmlRoot, patch) {
+  const char = safeGet(xmlRoot, 'character', {});
+  const base = ['root', 'character'];
+  let xml = xmlContent;
+  
+  const hpPatch = patch.hp || {};
+  ['wounds', 'temporary'].forEach(field => {
+    if (hpPatch[field] !== undefined) {
+      xml = setXmlValue(xml, [...base, 'hp', field], toNumber(hpPatch[field]));
+    }
+  });
+  
+  const deathSavesPatch = patch.deathSaves || {};
+  [['successes', 'deathsavesuccess'], ['failures', 'deathsavefail']].forEach(([field, xmlField]) => {
+    if (deathSavesPatch[field] !== undefined) {
+      xml = setXmlValue(xml, [...base, 'hp', xmlField], toNumber(deathSavesPatch[field]));
+    }
+  });
+  
+  const classesData = safeGet(char, 'classes.0', {});
+  Object.keys(patch.hitDice || {}).forEach(className => {
+    findListIds(classesData, className).forEach(id => {
+      xml = setXmlValue(xml, [...base, 'classes', id, 'hdused'], toNumber(patch.hitDice[className]));
+    });
+  });
+  
+  const coinsData = safeGet(char, 'coins.0', {});
+  const newCoins = {};
+  Object.keys(patch.coins || {}).forEach(coinName => {
+    const amount = toNumber(patch.coins[coinName]);
+    const ids = findListIds(coinsData, coinName);
+    if (ids.length > 0) {
+      xml = setXmlValue(xml, [...base, 'coins', ids[0], 'amount'], amount);
+    } else if (amount !== 0) {
+      // Coins the character never had need a new list entry
+      const id = nextListId({ ...coinsData, ...newCoins });
+      newCoins[id] = true;
+      xml = insertXmlElement(xml, [...base, 'coins'],
+        `<${id}><amount type="number">${amount}</amount><name type="string">${escapeXml(coinName)}</name></${id}>`);
+    }
+  });
+  
+  Object.keys(patch.spellSlots || {}).forEach(level => {
+    xml = setXmlValue(xml, [...base, 'powermeta', `spellslots${parseInt(level)}`, 'used'], toNumber(patch.spellSlots[level]));
+  });
+  Object.keys(patch.pactMagicSlots || {}).forEach(level => {
+    xml = setXmlValue(xml, [...base, 'powermeta', `pactmagicslots${parseInt(level)}`, 'used'], toNumber(patch.pactMagicSlots[level]));
+  });
+  
+  // Resources are either a power group sharing its uses or a single power counting its casts
+  const powersData = safeGet(char, 'powers.0', {});
+  const powerGroupData = safeGet(char, 'powergroup.0', {});
+  Object.keys(patch.resources || {}).forEach(resourceName => {
+    const used = toNumber(patch.resources[resourceName]);
+    if (findListIds(powerGroupData, resourceName).length > 0) {
+      const groupPowerIds = Object.keys(powersData).filter(key => key.startsWith('id-') && safeGet(powersData[key][0], 'group.0') === resourceName);
+      groupPowerIds.forEach((id, index) => {
+        xml = setXmlValue(xml, [...base, 'powers', id, 'cast'], index === 0 ? used : 0);
+      });
+    } else {
+      findListIds(powersData, resourceName).forEach(id => {
+        xml = setXmlValue(xml, [...base, 'powers', id, 'cast'], used);
+      });
+    }
+  });
+  
+  Object.keys(patch.preparedSpells || {}).forEach(spellName => {
+    findListIds(powersData, spellName).forEach(id => {
+      xml = setXmlValue(xml, [...base, 'powers', id, 'prepared'], patch.preparedSpells[spellName] ? 1 : 0);
+    });
+  });
+  
+  return xml;
+}
+
+// Sheet library: optional server-side storage, on when SHEET_STORE_DIR points at a writable
+// directory. Uploads are kept as the original XML and rendered on request, so stored sheets
+// pick up generator fixes. index.json lists each character and its versions, and the
+// campaign spaces sheets can be uploaded into.
+const SHEET_STORE_DIR = process.env.SHEET_STORE_DIR ? path.resolve(process.env.SHEET_STORE_DIR) : null;
+
+// Invite codes are read aloud and typed in, so no 0/O or 1/I
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function createSheetStore(dir) {
+  const indexFile = path.join(dir, 'index.json');
+  const secretFile = path.join(dir, 'secret');
+  const xmlDir = path.join(dir, 'xml');
+  const xmlFile = (id, version) => path.join(xmlDir, `${id}-${version}.xml`);
+  
+  // index.json is rewritten as a whole, so changes run one at a time
+  let queue = Promise.resolve();
+  const withLock = task => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+  
+  const readIndex = async () => {
+    try {
+      const index = JSON.parse(await fs.promises.readFile(indexFile, 'utf8'));
+      return { characters: {}, spaces: {}, ...index };
+    } catch (err) {
+      if (err.code === 'ENOENT') return { characters: {}, spaces: {} };
+      throw err;
+    }
+  };
+  
+  const writeIndex = async index => {
+    await fs.promises.writeFile(`${indexFile}.tmp`, JSON.stringify(index, null, 2));
+    await fs.promises.rename(`${indexFile}.tmp`, indexFile);
+  };
+  
+  return {
+    async list() {
+      const index = await readIndex();
+      return Object.values(index.characters).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+    
+    async get(id) {
+      const index = await readIndex();
+      return index.characters[id] || null;
+    },
+    
+    readXml(id, version) {
+      return fs.promises.readFile(xmlFile(id, version), 'utf8');
+    },
+    
+    // A character the same uploader already stored under that name (the space member, or
+    // outside spaces the hash of the browser's uploader key) gets a new version instead of a new id;
+    // uploading the exact same file again returns the version it already has. Uploads
+    // without either always start a new entry, so nobody can add versions to someone
+    // else's character
+    save({ name, xmlContent, entryId, level, classes, space = null, owner = null, uploader = null }) {
+      return withLock(async () => {
+        await fs.promises.mkdir(xmlDir, { recursive: true });
+        const index = await readIndex();
+        const now = new Date().toISOString();
+        const sourceHash = hashSource(xmlContent + (entryId || ''));
+        const nameKey = String(name || '').trim().toLowerCase();
+        let key = null;
+        if (nameKey && space) {
+          key = `${space}/${owner}/${nameKey}`;
+        } else if (nameKey && uploader) {
+          key = `uploader/${uploader}/${nameKey}`;
+        }
+        
+        let entry = key ? Object.values(index.characters).find(character => character.key === key) : null;
+        if (entry) {
+          const latest = entry.versions[entry.versions.length - 1];
+          if (latest.sourceHash === sourceHash) {
+            return { entry, version: latest.version };
+          }
+        } else {
+          entry = { id: crypto.randomBytes(6).toString('hex'), key, name, space, owner, uploader: space ? null : uploader, createdAt: now, updatedAt: now, versions: [] };
+          index.characters[entry.id] = entry;
+        }
+        
+        const version = entry.versions.length > 0 ? entry.versions[entry.versions.length - 1].version + 1 : 1;
+        await fs.promises.writeFile(xmlFile(entry.id, version), xmlContent);
+        entry.name = name;
+        entry.updatedAt = now;
+        entry.versions.push({ version, uploadedAt: now, sourceHash, entryId: entryId || null, level, classes });
+        await writeIndex(index);
+        return { entry, version };
+      });
+    },
+    
+    remove(id) {
+      return withLock(async () => {
+        const index = await readIndex();
+        const entry = index.characters[id];
+        if (!entry) return false;
+        delete index.characters[id];
+        await writeIndex(index);
+        await Promise.all(entry.versions.map(version => fs.promises.rm(xmlFile(id, version.version), { force: true })));
+        return true;
+      });
+    },
+    
+    async getSpace(id) {
+      const index = await readIndex();
+      return index.spaces[id] || null;
+    },
+    
+    createSpace({ name, gmName }) {
+      return withLock(async () => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const index = await readIndex();
+        const inviteCodes = new Set(Object.values(index.spaces).map(space => space.inviteCode));
+        let inviteCode;
+        do {
+          inviteCode = Array.from({ length: 8 }, () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]).join('');
+        } while (inviteCodes.has(inviteCode));
+        
+        const space = {
+          id: crypto.randomBytes(6).toString('hex'),
+          name,
+          inviteCode,
+          createdAt: new Date().toISOString(),
+          gm: { id: crypto.randomBytes(6).toString('hex'), name: gmName },
+          players: []
+        };
+        index.spaces[space.id] = space;
+        await writeIndex(index);
+        return { space, member: space.gm };
+      });
+    },
+    
+    // Each join is a new player, so a player who lost their token joins again under a new id
+    joinSpace({ inviteCode, playerName }) {
+      return withLock(async () => {
+        const index = await readIndex();
+        const code = String(inviteCode || '').trim().toUpperCase();
+        const space = Object.values(index.spaces).find(candidate => candidate.inviteCode === code);
+        if (!space) return null;
+        
+        const member = { id: crypto.randomBytes(6).toString('hex'), name: playerName, joinedAt: new Date().toISOString() };
+        space.players.push(member);
+        await writeIndex(index);
+        return { space, member };
+      });
+    },
+    
+    // Signing key for space tokens, made on first use so tokens survive restarts
+    getSecret() {
+      return withLock(async () => {
+        try {
+          return await fs.promises.readFile(secretFile, 'utf8');
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+        }
+        await fs.promises.mkdir(dir, { recursive: true });
+        const secret = crypto.randomBytes(32).toString('hex');
+        await fs.promises.writeFile(secretFile, secret, { mode: 0o600 });
+        return secret;
+      });
+    }
+  };
+}
+
+const sheetStore = SHEET_STORE_DIR ? createSheetStore(SHEET_STORE_DIR) : null;
+
+function requireSheetStore() {
+  if (!sheetStore) {
+    throw requestError(404, 'STORAGE_DISABLED', 'Server-side storage is not enabled on this server (set SHEET_STORE_DIR)');
+  }
+  return sheetStore;
+}
+
+// Campaign space tokens: a base64url JSON payload and its HMAC, so the server keeps no
+// accounts or sessions. SHEET_TOKEN_SECRET overrides the key generated in the store.
+let spaceTokenSecret = process.env.SHEET_TOKEN_SECRET || null;
+
+async function signSpaceData(data) {
+  if (!spaceTokenSecret) spaceTokenSecret = await requireSheetStore().getSecret();
+  return crypto.createHmac('sha256', spaceTokenSecret).update(data).digest('base64url');
+}
+
+async function createSpaceToken(space, member, role) {
+  const payload = Buffer.from(JSON.stringify({ space: space.id, member: member.id, role })).toString('base64url');
+  return `${payload}.${await signSpaceData(payload)}`;
+}
+
+// The space, member and role a request's token grants (Authorization: Bearer, or a token
+// field/query for links and forms), or null for anonymous requests
+async function readSpaceAccess(req) {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : (req.query.token || (req.body && req.body.token));
+  if (!token) return null;
+  
+  const store = requireSheetStore();
+  const invalid = () => requestError(401, 'INVALID_TOKEN', 'The campaign token is invalid or no longer valid');
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) throw invalid();
+  // Compare the decoded bytes; a signature that isn't plain base64url never matches
+  const signatureBytes = Buffer.from(signature, 'base64url');
+  const expectedBytes = Buffer.from(await signSpaceData(payload), 'base64url');
+  if (signatureBytes.toString('base64url') !== signature || signatureBytes.length !== expectedBytes.length ||
+      !crypto.timingSafeEqual(signatureBytes, expectedBytes)) {
+    throw invalid();
+  }
+  
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw invalid();
+  }
+  const space = await store.getSpace(claims.space);
+  const member = space && (claims.role === 'gm'
+    ? (space.gm.id === claims.member ? space.gm : null)
+    : space.players.find(player => player.id === claims.member));
+  if (!member) throw invalid();
+  return { space, member, role: claims.role };
+}
+
+// Sheets outside a space are public; in a space the GM sees every sheet, players their own
+function canAccessSheet(entry, access) {
+  if (!entry.space) return true;
+  return Boolean(access) && access.space.id === entry.space && (access.role === 'gm' || access.member.id === entry.owner);
+}
+
+function checkSheetAccess(entry, access) {
+  if (canAccessSheet(entry, access)) return;
+  if (!access) {
+    throw requestError(401, 'AUTH_REQUIRED', 'This sheet belongs to a campaign space; send the campaign token to open it');
+  }
+  throw requestError(403, 'FORBIDDEN', 'Only the GM and the player who uploaded it can open this sheet');
+}
+
+// What a member is shown of their space: only the GM gets the invite code and player list
+function describeSpace(space, role) {
+  const description = { id: space.id, name: space.name, gm: space.gm.name };
+  if (role === 'gm') {
+    description.inviteCode = space.inviteCode;
+    description.players = space.players.map(({ id, name, joinedAt }) => ({ id, name, joinedAt }));
+  }
+  return description;
+}
+
+function spaceMemberName(space, memberId) {
+  if (!space) return null;
+  if (space.gm.id === memberId) return space.gm.name;
+  const player = space.players.find(candidate => candidate.id === memberId);
+  return player ? player.name : null;
+}
+
+// Stores a generated sheet's upload when the library is on; the response gets its permalink.
+// With a space token the sheet goes into that space, owned by the uploader.
+// uploaderKey: random string the upload page keeps per browser, so its re-uploads of a
+// character outside campaign spaces become new versions
+async function storeSheet(sheet, xmlContent, entryId, access, uploaderKey) {
+  if (!sheetStore) return {};
+  const { entry, version } = await sheetStore.save({
+    name: sheet.name,
+    xmlContent,
+    entryId,
+    level: sheet.character.level,
+    classes: sheet.character.classes.map(cls => `${cls.name} ${cls.level}`).join(', '),
+    space: access ? access.space.id : null,
+    owner: access ? access.member.id : null,
+    uploader: uploaderKey ? uploaderHash(uploaderKey) : null
+  });
+  return { id: entry.id, version, url: `/sheet/${entry.id}` };
+}
+
+// Only a hash of the uploader key is stored, so index.json can't be used to delete sheets
+function uploaderHash(uploaderKey) {
+  return hashSource(`uploader:${uploaderKey}`);
+}
+
+// Sent as a form field on uploads, as an X-Uploader-Key header by the library page
+function readUploaderKey(req) {
+  return req.get('X-Uploader-Key') || (req.body && req.body.uploaderKey) || null;
+}
+
+// In a space the GM and the sheet's owner may delete it; outside spaces only the uploader
+function canDeleteSheet(entry, access, uploaderKey) {
+  if (entry.space) return canAccessSheet(entry, access);
+  return Boolean(uploaderKey && entry.uploader) && entry.uploader === uploaderHash(uploaderKey);
+}
+
+// Looks up a stored character (latest version unless ?version= says otherwise) and parses it
+async function loadStoredCharacter(id, requestedVersion, access) {
+  const entry = await requireSheetStore().get(id);
+  if (!entry) {
+    throw requestError(404, 'UNKNOWN_SHEET', `No stored character with id "${id}"`);
+  }
+  checkSheetAccess(entry, access);
+  const versionInfo = requestedVersion
+    ? entry.versions.find(version => String(version.version) === String(requestedVersion))
+    : entry.versions[entry.versions.length - 1];
+  if (!versionInfo) {
+    throw requestError(404, 'UNKNOWN_VERSION', `Character "${id}" has no version ${requestedVersion}`);
+  }
+  
+  const xmlContent = await sheetStore.readXml(id, versionInfo.version);
+  const { xmlRoot, campaign } = await parseFguXml(xmlContent);
+  const root = campaign
+    ? getCampaignCharacters(xmlRoot).find(character => character.id === versionInfo.entryId).root
+    : xmlRoot;
+  return { entry, versionInfo, xmlRoot: root, sourceHash: hashSource(xmlContent + (versionInfo.entryId || '')) };
+}
+
+// Upload validation and error responses
+
+// A 4xx (or deliberate 5xx) failure; code is stable for API clients, message is for people
+function requestError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function sendError(res, error) {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error('Error processing file:', error);
+  }
+  res.status(status).json({
+    success: false,
+    code: error.status ? error.code : 'INTERNAL_ERROR',
+    error: error.message || 'Error processing file'
+  });
+}
+
+// Parses an uploaded FGU character export or campaign db.xml; anything else becomes a request error
+async function readFguFile(file) {
+  if (!file) {
+    throw requestError(400, 'NO_FILE', 'No file uploaded');
+  }
+  return parseFguXml(file.buffer.toString('utf-8'));
+}
+
+async function parseFguXml(xmlContent) {
+  let result;
+  try {
+    result = await new xml2js.Parser(XML_PARSER_OPTIONS).parseStringPromise(xmlContent);
+  } catch (err) {
+    throw requestError(400, 'MALFORMED_XML', `The file is not valid XML: ${String(err.message).split('\n')[0]}`);
+  }
+  
+  const xmlRoot = result && result.root;
+  if (!xmlRoot || typeof xmlRoot !== 'object') {
+    throw requestError(422, 'NOT_FGU_EXPORT', 'The file is not a Fantasy Grounds export (no <root> element)');
+  }
+  if (!xmlRoot.character && !xmlRoot.charsheet) {
+    throw requestError(422, 'NOT_FGU_EXPORT', 'The file has no <character> or <charsheet> element, it is not a Fantasy Grounds Unity character export or campaign db.xml');
+  }
+  getRulesetAdapter(xmlRoot);
+  
+  const campaign = !xmlRoot.character;
+  if (campaign && getCampaignCharacters(xmlRoot).length === 0) {
+    throw requestError(422, 'EMPTY_CAMPAIGN', 'This campaign db.xml has no player characters');
+  }
+  
+  return { xmlContent, xmlRoot, campaign };
+}
+
+// Write-back and compare work on single character exports
+async function readCharacterExport(file) {
+  const fguFile = await readFguFile(file);
+  if (fguFile.campaign) {
+    throw requestError(422, 'CAMPAIGN_FILE', 'This is a campaign db.xml, but this needs a single character export. Export the character from its sheet in Fantasy Grounds Unity');
+  }
+  return fguFile;
+}
+
+// Picks the campaign characters a request asked for: one id, or "all"
+function selectCampaignCharacters(xmlRoot, selected) {
+  const characters = getCampaignCharacters(xmlRoot);
+  if (selected === 'all') {
+    return characters;
+  }
+  const match = characters.filter(entry => entry.id === selected);
+  if (match.length === 0) {
+    throw requestError(404, 'UNKNOWN_CHARACTER', `No character "${selected}" in this campaign. Available: ${characters.map(entry => entry.id).join(', ')}`);
+  }
+  return match;
+}
+
+function sheetFilename(charName) {
+  const cleanName = String(charName || '').replace(/[^a-zA-Z0-9 _-]/g, '').trim();
+  return cleanName ? `${cleanName}.html` : 'character_sheet.html';
+}
+
+// Parse, render and diagnose one character for /generate and /party
+function buildSheet(xmlRoot, sourceHash, options) {
+  const charName = safeGet(xmlRoot, 'character.0.name.0') || '';
+  
+  let character;
+  let html;
+  let warnings;
+  let auditResults;
+  try {
+    character = parseCharacter(xmlRoot);
+    auditResults = options.audit ? auditCharacter(xmlRoot, character, options.locale) : null;
+    html = renderCharacterHTML(character, { ...options, sourceHash, auditResults });
+    warnings = diagnoseCharacter(xmlRoot, character, options.locale);
+    console.log('HTML generated, length:', html.length);
+  } catch (htmlError) {
+    if (htmlError.status) throw htmlError;
+    console.error('Error generating HTML:', htmlError);
+    throw requestError(500, 'GENERATION_FAILED', 'Failed to generate HTML: ' + htmlError.message);
+  }
+  
+  return {
+    character,
+    html: html,
+    filename: sheetFilename(charName),
+    name: charName || 'Character Sheet',
+    warnings,
+    ...(auditResults ? { audit: auditResults } : {})
+  };
+}
+
+// Streams several sheets as one zip; characters sharing a name get numbered files
+async function sendSheetsZip(res, sheets, zipName) {
+  const archive = archiver('zip');
+  const usedNames = {};
+  archive.on('error', err => res.destroy(err));
+  res.attachment(zipName);
+  archive.pipe(res);
+  sheets.forEach(sheet => {
+    usedNames[sheet.filename] = (usedNames[sheet.filename] || 0) + 1;
+    const count = usedNames[sheet.filename];
+    archive.append(sheet.html, { name: count > 1 ? sheet.filename.replace(/\.html$/, ` ${count}.html`) : sheet.filename });
+  });
+  await archive.finalize();
+}
+
+// Routes
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+app.get('/preview', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'preview.html'));
+});
+
+const generateUpload = upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'css', maxCount: 1 },
+  { name: 'template', maxCount: 1 }
+]);
+
+// Theme, layout, locale, GM view and custom styling fields shared by /generate, /party and /sheet/:id
+function readRenderOptions(req, fields = req.body) {
+  const files = req.files || {};
+  
+  const theme = fields.theme || DEFAULT_THEME;
+  if (!SHEET_THEMES[theme]) {
+    throw requestError(400, 'UNKNOWN_THEME', `Unknown theme "${theme}". Available themes: ${Object.keys(SHEET_THEMES).join(', ')}`);
+  }
+  
+  const layout = fields.layout || 'full';
+  if (!SHEET_LAYOUTS[layout]) {
+    throw requestError(400, 'UNKNOWN_LAYOUT', `Unknown layout "${layout}". Available layouts: ${Object.keys(SHEET_LAYOUTS).join(', ')}`);
+  }
+  
+  const locale = resolveRequestLocale(req, fields.locale);
+  if (!locale) {
+    throw requestError(400, 'UNKNOWN_LOCALE', `Unknown locale "${fields.locale}". Available locales: ${SUPPORTED_LOCALES.join(', ')}`);
+  }
+  
+  const customCss = files.css ? files.css[0].buffer.toString('utf-8') : '';
+  const template = files.template ? files.template[0].buffer.toString('utf-8') : null;
+  if (template && !/\{\{\s*sheet\s*\}\}/.test(template)) {
+    throw requestError(400, 'INVALID_TEMPLATE', 'Custom template must contain a {{sheet}} placeholder');
+  }
+  
+  // GM view reveals unidentified items, audit mode checks FGU's stored values
+  const gmView = readFlag(fields.gmView);
+  const audit = readFlag(fields.audit);
+  
+  return { theme, layout, locale, customCss, template, gmView, audit };
+}
+
+// Checkboxes send "on", links use 1 or true
+function readFlag(value) {
+  return ['1', 'true', 'on'].includes(String(value || '').toLowerCase());
+}
+
+app.post('/generate', generateUpload, async (req, res) => {
+  try {
+    const files = req.files || {};
+    const renderOptions = readRenderOptions(req);
+    // Spaces only matter when sheets are stored; a leftover token shouldn't block generating
+    const access = sheetStore ? await readSpaceAccess(req) : null;
+    const { xmlContent, xmlRoot, campaign } = await readFguFile(files.file && files.file[0]);
+    
+    if (campaign) {
+      // Without a pick, list the campaign's characters so the page can ask which one
+      if (!req.body.character) {
+        return res.json({
+          success: true,
+          campaign: true,
+          characters: getCampaignCharacters(xmlRoot).map(entry => {
+            const character = parseCharacter(entry.root);
+            return { id: entry.id, name: character.name, level: character.level, classes: character.classes };
+          })
+        });
+      }
+      
+      // Each sheet is hashed and stored from its own <charsheet> entry, so changes elsewhere
+      // in the campaign don't make a new version; the id keeps their saved state apart
+      const entries = selectCampaignCharacters(xmlRoot, req.body.character);
+      const characterXml = entries.map(entry => extractCampaignCharacterXml(xmlContent, entry.id));
+      const sheets = entries.map((entry, i) => buildSheet(entry.root, hashSource(characterXml[i] + entry.id), renderOptions));
+      if (req.body.character === 'all') {
+        return sendSheetsZip(res, sheets, 'campaign_sheets.zip');
+      }
+      const { character, ...sheet } = sheets[0];
+      return res.json({ success: true, ...sheet, ...await storeSheet(sheets[0], characterXml[0], req.body.character, access, readUploaderKey(req)) });
+    }
+    
+    // Return HTML directly
+    const { character, ...sheet } = buildSheet(xmlRoot, hashSource(xmlContent), renderOptions);
+    res.json({ success: true, ...sheet, ...await storeSheet({ character, ...sheet }, xmlContent, null, access, readUploaderKey(req)) });
+    
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Several character exports and/or campaign db.xml files in, one party dashboard out
+const partyUpload = upload.fields([
+  { name: 'file', maxCount: 20 },
+  { name: 'css', maxCount: 1 },
+  { name: 'template', maxCount: 1 }
+]);
+
+app.post('/party', partyUpload, async (req, res) => {
+  try {
+    const files = req.files || {};
+    const renderOptions = readRenderOptions(req);
+    if (!files.file) {
+      throw requestError(400, 'NO_FILE', 'No file uploaded');
+    }
+    
+    const sheets = [];
+    for (const file of files.file) {
+      const { xmlContent, xmlRoot, campaign } = await readFguFile(file);
+      if (campaign) {
+        getCampaignCharacters(xmlRoot).forEach(entry => {
+          // Hashed like /generate hashes a picked character, so both keep the same saved state
+          sheets.push(buildSheet(entry.root, hashSource(extractCampaignCharacterXml(xmlContent, entry.id) + entry.id), renderOptions));
+        });
+      } else {
+        sheets.push(buildSheet(xmlRoot, hashSource(xmlContent), renderOptions));
+      }
+    }
+    
+    const t = getTranslator(renderOptions.locale, 'sheet');
+    res.json({
+      success: true,
+      html: renderPartyHTML(sheets, renderOptions),
+      filename: 'party_overview.html',
+      name: t('partyTitle'),
+      warnings: [].concat(...sheets.map(sheet => sheet.warnings.map(warning => ({
+        ...warning,
+        character: sheet.name,
+        message: `${sheet.name}: ${warning.message}`
+      }))))
+    });
+    
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Two exports of the same character in, a report of what changed out
+const compareUpload = upload.fields([
+  { name: 'before', maxCount: 1 },
+  { name: 'after', maxCount: 1 }
+]);
+
+app.post('/compare', compareUpload, async (req, res) => {
+  try {
+    const files = req.files || {};
+    const { theme, locale } = readRenderOptions(req);
+    const [before, after] = await Promise.all(['before', 'after'].map(async field => {
+      if (!files[field]) {
+        throw requestError(400, 'NO_FILE', `No "${field}" file uploaded`);
+      }
+      const { xmlRoot } = await readCharacterExport(files[field][0]);
+      return parseCharacter(xmlRoot);
+    }));
+    
+    const diff = diffCharacters(before, after);
+    const cleanName = sheetFilename(diff.name).replace(/\.html$/, '');
+    res.json({
+      success: true,
+      diff,
+      html: renderDiffHTML(diff, { theme, locale }),
+      filename: `${cleanName}_changes.html`,
+      name: diff.name || 'Character Sheet',
+      warnings: []
+    });
+    
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/character', upload.single('file'), async (req, res) => {
+  try {
+    const { xmlRoot, campaign } = await readFguFile(req.file);
+    const locale = resolveRequestLocale(req);
+    const audit = readFlag(req.body.audit || req.query.audit);
+    const describe = root => {
+      const character = parseCharacter(root);
+      const description = { character, warnings: diagnoseCharacter(root, character, locale) };
+      if (audit) description.audit = auditCharacter(root, character, locale);
+      return description;
+    };
+  
+    if (campaign) {
+      const entries = selectCampaignCharacters(xmlRoot, req.body.character || 'all');
+      return res.json({
+        success: true,
+        campaign: true,
+        characters: entries.map(entry => ({ id: entry.id, ...describe(entry.root) }))
+      });
+    }
+  
+    res.json({ success: true, ...describe(xmlRoot) });
+  
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/export-fgu', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      throw requestError(400, 'NO_FILE', 'No file uploaded');
+    }
+    
+    let patch;
+    try {
+      patch = JSON.parse(req.body.patch || '');
+    } catch (err) {
+      throw requestError(400, 'INVALID_PATCH', 'The sheet patch is not valid JSON');
+    }
+    if (!patch || patch.patchVersion !== SHEET_PATCH_VERSION) {
+      throw requestError(400, 'UNSUPPORTED_PATCH_VERSION', 'Unsupported sheet patch version');
+    }
+    
+    const { xmlContent, xmlRoot } = await readCharacterExport(req.file);
+    
+    const charName = safeGet(xmlRoot, 'character.0.name.0');
+    if (patch.character && charName && patch.character !== charName) {
+      throw requestError(409, 'CHARACTER_MISMATCH', `This patch was exported from ${patch.character}'s sheet, not ${charName}'s`);
+    }
+    
+    const updatedXml = applySheetPatch(xmlContent, xmlRoot, patch);
+    
+    res.attachment(req.file.originalname);
+    res.type('application/xml');
+    res.send(updatedXml);
+    
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Sheet library: permalinks, the list/delete page and version history
+app.get('/sheet/:id', async (req, res) => {
+  try {
+    const renderOptions = readRenderOptions(req, req.query);
+    const access = await readSpaceAccess(req);
+    const { entry, xmlRoot, sourceHash } = await loadStoredCharacter(req.params.id, req.query.version, access);
+    // In a campaign space only the GM may reveal unidentified items
+    const gmView = renderOptions.gmView && (!entry.space || access.role === 'gm');
+    const character = parseCharacter(xmlRoot);
+    const auditResults = renderOptions.audit ? auditCharacter(xmlRoot, character, renderOptions.locale) : null;
+    res.type('html').send(renderCharacterHTML(character, { ...renderOptions, gmView, sourceHash, auditResults }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// The player's view of unidentified items, as the sheet shows them without gmView: the
+// unidentified name and description, no rarity, cost or weight, and containers under their shown name
+function hideUnidentifiedItems(character, locale) {
+  const t = getTranslator(locale, 'sheet');
+  const shownNames = {};
+  character.inventory.forEach(item => {
+    if (!item.identified) shownNames[item.name] = item.unidentifiedName || t('unidentifiedItem');
+  });
+  const inventory = character.inventory.map(item => {
+    const location = item.location in shownNames ? shownNames[item.location] : item.location;
+    if (item.identified) return { ...item, location };
+    return {
+      ...item,
+      name: shownNames[item.name],
+      location,
+      cost: '',
+      costGp: null,
+      weight: null,
+      rarity: null,
+      requiresAttunement: false,
+      description: item.unidentifiedDescription || '',
+      descriptionHtml: item.unidentifiedDescriptionHtml || ''
+    };
+  });
+  // The carried load stays: the player still feels what the item weighs
+  return { ...character, inventory, netWorth: getNetWorth(inventory, character.coins) };
+}
+
+app.get('/api/character/:id', async (req, res) => {
+  try {
+    const access = await readSpaceAccess(req);
+    const { entry, versionInfo, xmlRoot } = await loadStoredCharacter(req.params.id, req.query.version, access);
+    const locale = resolveRequestLocale(req);
+    // Like gmView on /sheet/:id, only the GM of a space sees what unidentified items are
+    let character = parseCharacter(xmlRoot);
+    if (entry.space && access.role !== 'gm') {
+      character = hideUnidentifiedItems(character, locale);
+    }
+    res.json({
+      success: true,
+      id: entry.id,
+      version: versionInfo.version,
+      versions: entry.versions.map(({ version, uploadedAt, level, classes }) => ({ version, uploadedAt, level, classes })),
+      character,
+      warnings: diagnoseCharacter(xmlRoot, character, locale),
+      ...(readFlag(req.query.audit) ? { audit: auditCharacter(xmlRoot, character, locale) } : {})
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Without a token the public library; with one, the sheets of that space the member can see
+app.get('/api/characters', async (req, res) => {
+  try {
+    const store = requireSheetStore();
+    const access = await readSpaceAccess(req);
+    const uploaderKey = readUploaderKey(req);
+    const characters = (await store.list()).filter(entry => (access
+      ? entry.space === access.space.id && canAccessSheet(entry, access)
+      : !entry.space));
+    res.json({
+      success: true,
+      characters: characters.map(entry => ({
+        id: entry.id,
+        name: entry.name,
+        url: `/sheet/${entry.id}`,
+        owner: access ? spaceMemberName(access.space, entry.owner) : undefined,
+        canDelete: canDeleteSheet(entry, access, uploaderKey),
+        createdAt: entry.createdAt,
+        updatedAt: entry.updatedAt,
+        versions: entry.versions.map(({ version, uploadedAt, level, classes }) => ({ version, uploadedAt, level, classes }))
+      }))
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/character/:id', async (req, res) => {
+  try {
+    const store = requireSheetStore();
+    const access = await readSpaceAccess(req);
+    const entry = await store.get(req.params.id);
+    if (entry) checkSheetAccess(entry, access);
+    if (entry && !canDeleteSheet(entry, access, readUploaderKey(req))) {
+      throw requestError(403, 'FORBIDDEN', 'Only the browser that uploaded this sheet can delete it');
+    }
+    if (!entry || !await store.remove(req.params.id)) {
+      throw requestError(404, 'UNKNOWN_SHEET', `No stored character with id "${req.params.id}"`);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/library', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'library.html'));
+});
+
+// Campaign spaces: the GM creates one and shares its invite code, players join with it.
+// Both answers carry the token the member sends with later requests.
+function readMemberName(value, label) {
+  const name = String(value || '').trim().slice(0, 100);
+  if (!name) {
+    throw requestError(400, 'NAME_REQUIRED', `${label} is required`);
+  }
+  return name;
+}
+
+app.post('/api/spaces', async (req, res) => {
+  try {
+    const store = requireSheetStore();
+    const body = req.body || {};
+    const name = readMemberName(body.name, 'A campaign name');
+    const gmName = readMemberName(body.gmName, 'The GM\'s name');
+    const { space, member } = await store.createSpace({ name, gmName });
+    res.json({
+      success: true,
+      role: 'gm',
+      member: { id: member.id, name: member.name },
+      space: describeSpace(space, 'gm'),
+      token: await createSpaceToken(space, member, 'gm')
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/spaces/join', async (req, res) => {
+  try {
+    const store = requireSheetStore();
+    const body = req.body || {};
+    const playerName = readMemberName(body.playerName, 'The player\'s name');
+    const joined = await store.joinSpace({ inviteCode: body.inviteCode, playerName });
+    if (!joined) {
+      throw requestError(404, 'UNKNOWN_INVITE', 'No campaign space has that invite code');
+    }
+    const { space, member } = joined;
+    res.json({
+      success: true,
+      role: 'player',
+      member: { id: member.id, name: member.name },
+      space: describeSpace(space, 'player'),
+      token: await createSpaceToken(space, member, 'player')
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/space', async (req, res) => {
+  try {
+    const access = await readSpaceAccess(req);
+    if (!access) {
+      throw requestError(401, 'AUTH_REQUIRED', 'Send the campaign token to see its space');
+    }
+    res.json({
+      success: true,
+      role: access.role,
+      member: { id: access.member.id, name: access.member.name },
+      space: describeSpace(access.space, access.role)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Labels for the upload, preview and library pages: ?locale= when supported, otherwise the browser's language
+app.get('/api/locale', (req, res) => {
+  const locale = resolveRequestLocale(req, req.query.locale) || resolveRequestLocale(req);
+  const locales = {};
+  SUPPORTED_LOCALES.forEach(code => {
+    locales[code] = LOCALES[code].language;
+  });
+  
+  res.json({
+    locale,
+    locales,
+    messages: {
+      upload: LOCALES[locale].upload,
+      preview: LOCALES[locale].preview,
+      library: LOCALES[locale].library
+    }
+  });
+});
 
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+// Errors raised before a route runs: rejected file types, multer limits, unreadable bodies
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    return sendError(res, requestError(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400, err.code, err.message));
+  }
+  if (err.status && err.status < 500) {
+    return sendError(res, err.code ? err : requestError(err.status, 'BAD_REQUEST', err.message));
+  }
+  next(err);
+});
+
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });